@@ -1,31 +1,303 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
-const { updatePackages } = require('../lib/index');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createUpgrader, rollbackCampaign } = require('../lib/index');
+const { loadConfig, DEFAULT_CONFIG_FILE } = require('../lib/config');
+const { formatReport, REPORT_FORMATS } = require('../lib/report');
+const { loadState, reposToRerun, DEFAULT_STATE_FILE } = require('../lib/state');
+const { discoverRepos, readRepoList, filterRepos } = require('../lib/discover');
+const { PROVIDER_IDS } = require('../lib/providers');
+const { INSTALL_STRATEGIES } = require('../lib/package-manager');
+const { formatLockfileChanges } = require('../lib/review');
+const { validatePackageName, validateVersion } = require('../lib/validate');
 
 // Define the program options
 program
   .name('batch-upgrade-npm')
   .description('A CLI tool to upgrade npm packages across multiple repositories')
   .version('1.0.0')
+  .enablePositionalOptions()
   .option('-p, --packages <packages...>', 'packages to update (space separated)')
   .option('-v, --versions <versions...>', 'version ranges (space separated, matching packages order)')
-  .option('-r, --repos <repos...>', 'repository paths (space separated, relative to current directory)')
+  .option('-r, --repos <repos...>', 'repository paths, org/repo slugs or git URLs (space separated, paths relative to current directory)')
+  .option('--worktree', 'work in a temporary git worktree of each local repository, leaving its checkout alone')
+  .option('--no-worktree', 'work in the repository\'s own checkout, even if the config file sets worktree')
+  .option('--clone-base <url>', 'URL or directory org/repo slugs are cloned from (default: https://github.com/)')
+  .addOption(new Option('--provider <id>', 'where to open PRs (default: detected per repository from its origin remote)').choices(PROVIDER_IDS))
+  .option('--provider-file <path>', 'file the "file" provider keeps its pull requests in (default: .batch-upgrade-prs.json)')
+  .option('--discover <dirs...>', 'find git repositories under these directories that depend on any of the packages')
+  .option('--repos-file <path>', 'read repository paths from a file, one per line')
+  .option('--include <globs...>', 'only update repositories whose path or name matches one of these globs')
+  .option('--exclude <globs...>', 'skip repositories whose path or name matches one of these globs')
   .option('-i, --interactive', 'run in interactive mode (will prompt for input)')
-  .parse(process.argv);
+  .option('-d, --dry-run', 'show what would be updated in each repository without changing anything')
+  .addOption(new Option('--review', 'review each repository\'s changes before they are committed: accept, skip, edit a version or open a shell').conflicts('dryRun'))
+  .option('-c, --concurrency <n>', 'number of repositories to process at once (default: 1)', (value) => parseInt(value, 10))
+  .option('--branch <name>', 'branch to push the update to (default: derived from the packages and versions, so re-runs reuse it)')
+  .option('-b, --base <branch>', 'branch to start from and open PRs against (default: each repository\'s default branch)')
+  .option('--registry <url>', 'registry used to resolve versions and dist-tags (default: npm\'s configured registry)')
+  .option('-E, --save-exact', 'write the exact resolved version instead of the given range')
+  .option('--no-save-exact', 'write the given range, even if the config file sets saveExact')
+  .option('--save-prefix <prefix>', 'write the resolved version with this prefix (^, ~ or an empty string)')
+  .option('--pr-title <template>', 'PR title template, e.g. "chore: update {package} to {to}" (see README for placeholders)')
+  .option('--pr-body <template>', 'PR body template (see README for placeholders)')
+  .option('--no-pr-template', 'leave out the repository\'s own .github/pull_request_template.md')
+  .option('--labels <labels...>', 'labels to add to every PR')
+  .option('--reviewers <users...>', 'reviewers to request on every PR')
+  .option('--assignees <users...>', 'users to assign every PR to')
+  .option('--milestone <name>', 'milestone to put every PR in')
+  .option('--draft', 'open PRs as drafts')
+  .option('--no-draft', 'open PRs ready for review, even if the config file sets draft')
+  .addOption(new Option('--install-strategy <strategy>', 'how to update the lockfile: force (default) reinstalls with --force, strict fails on peer conflicts, lockfile-only installs nothing').choices(INSTALL_STRATEGIES))
+  .option('--transitive', 'also force transitive copies of the packages with overrides (npm), resolutions (Yarn) or pnpm.overrides')
+  .option('--no-transitive', 'leave transitive copies alone, even if the config file sets transitive')
+  .option('--verify <scripts...>', 'package.json scripts to run after install before opening the PR (e.g. build test lint)')
+  .addOption(new Option('--on-verify-fail <mode>', 'what to do when a verification script fails (default: abort)').choices(['abort', 'draft']))
+  .addOption(new Option('--on-dirty <mode>', 'what to do with uncommitted changes in a repository (default: abort)').choices(['abort', 'stash', 'reset']))
+  .addOption(new Option('--report <format>', 'print a report of every repository when done').choices(REPORT_FORMATS))
+  .option('--report-file <path>', 'write the report to a file instead of printing it (format defaults to markdown for .md files, json otherwise)')
+  .option('--retries <n>', 'times to retry a failed install or push (default: 2)', (value) => parseInt(value, 10))
+  .option('--retry-delay <ms>', 'delay before the first retry, doubled for each further retry (default: 5000)', (value) => parseInt(value, 10))
+  .option('--state-file <path>', `file the progress of each run is saved to (default: ${DEFAULT_STATE_FILE})`)
+  .addOption(new Option('--resume', 'rerun every repository the last run didn\'t finish, picking up where it stopped').conflicts('retryFailed'))
+  .option('--retry-failed', 'rerun only the repositories that failed in the last run')
+  .option('--config <path>', `config file with packages, repos and PR settings (default: ${DEFAULT_CONFIG_FILE} if present)`);
+
+// Undo an earlier campaign
+program
+  .command('rollback <campaign-or-branch>')
+  .description('close the PRs and delete the branches of an earlier run, given its state file or branch name')
+  .option('-r, --repos <repos...>', 'repositories to roll back (default: every repository in the run\'s state file)')
+  .option('-d, --dry-run', 'list what would be closed, deleted and restored without changing anything')
+  .option('--comment <text>', 'comment to leave on each PR before closing it')
+  .addOption(new Option('--provider <id>', 'where the PRs are (default: as recorded in the state file, or detected per repository)').choices(PROVIDER_IDS))
+  .option('--provider-file <path>', 'file the "file" provider keeps its pull requests in (default: .batch-upgrade-prs.json)')
+  .option('--clone-base <url>', 'URL or directory org/repo slugs are cloned from (default: https://github.com/)')
+  .option('--state-file <path>', `state file to look for the branch's run in (default: ${DEFAULT_STATE_FILE})`)
+  .option('--config <path>', `config file with repos and provider settings (default: ${DEFAULT_CONFIG_FILE} if present)`)
+  .action((target, options) => rollback(target, options).catch(exitWithError));
+
+/**
+ * Print a repository's changes for review
+ * @param {Object} review - What the upgrader's review hook is called with
+ */
+function printReview(review) {
+  console.log(chalk.cyan(`\nReview of ${review.repo}:`));
+  for (const { pkg, section, from, to, manifest } of review.updates) {
+    console.log(chalk.green(`  ${pkg}: ${from === null ? 'added' : from} → ${to} (${manifest}, ${section})`));
+  }
+  if (review.verificationFailed) {
+    console.log(chalk.yellow('  Verification failed. The pull request will be opened as a draft.'));
+  }
+
+  console.log(chalk.cyan('\nManifest changes:'));
+  for (const line of review.diff.split('\n')) {
+    if (/^(\+\+\+|---|diff |index )/.test(line)) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(line.startsWith('@@') ? chalk.cyan(line) : line);
+    }
+  }
+
+  console.log(chalk.cyan(`\n${review.lockfile} changes:`));
+  const colors = { '+': chalk.green, '-': chalk.red, '~': chalk.yellow };
+  for (const line of formatLockfileChanges(review.lockfileChanges)) {
+    console.log((colors[line[0]] || chalk.blue)(`  ${line}`));
+  }
+}
+
+/**
+ * Ask what to do with a repository's changes, as the upgrader's review hook
+ * @param {Object} review - What the review hook is called with
+ * @param {Object} spinner - ora spinner, paused while asking
+ * @returns {Promise<Object>} Review decision
+ */
+async function reviewRepo(review, spinner) {
+  spinner.stop();
+  try {
+    printReview(review);
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `What do you want to do with ${review.repo}?`,
+        choices: [
+          { name: 'Accept: commit, push and open the PR', value: 'accept' },
+          { name: 'Skip this repository', value: 'skip' },
+          { name: 'Edit a target version', value: 'edit' },
+          { name: 'Open a shell in the repository', value: 'shell' }
+        ]
+      }
+    ]);
+
+    // Changes made in the shell are committed too, so show them before asking again
+    if (action === 'shell') {
+      const shell = process.env.SHELL || process.env.ComSpec || 'sh';
+      console.log(chalk.blue(`Opening ${shell} in ${review.dir}. Exit it to get back to the review.`));
+      spawnSync(shell, { cwd: review.dir, stdio: 'inherit' });
+      return { action: 'refresh' };
+    }
+
+    if (action === 'edit') {
+      const packages = [...new Set(review.updates.map(({ pkg }) => pkg))];
+      const answers = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'pkg',
+          message: 'Which package?',
+          choices: packages,
+          when: packages.length > 1
+        },
+        {
+          type: 'input',
+          name: 'version',
+          message: 'New version range or dist-tag:',
+          filter: (input) => input.trim(),
+          validate: (input) => validateVersion(input) || true
+        }
+      ]);
+      return { action: 'edit', versions: { [answers.pkg || packages[0]]: answers.version } };
+    }
+
+    return { action };
+  } finally {
+    spinner.start();
+  }
+}
+
+/**
+ * Roll back an earlier campaign, for the rollback command
+ * @param {string} target - State file of the campaign's run, or its branch name
+ * @param {Object} options - Options of the rollback command
+ */
+async function rollback(target, options) {
+  const config = loadConfig(options.config) || {};
+  const stateFile = options.stateFile || config.stateFile || DEFAULT_STATE_FILE;
+
+  // The run's state names the branch and every repository it went through, and how it left each one
+  const targetIsStateFile = fs.existsSync(target) && fs.statSync(target).isFile();
+  let branchName = target;
+  let entries = {};
+  if (targetIsStateFile || fs.existsSync(stateFile)) {
+    const statePath = targetIsStateFile ? target : stateFile;
+    const state = loadState(statePath);
+    if (targetIsStateFile || state.campaign.branchName === target) {
+      branchName = state.campaign.branchName;
+      entries = state.repos;
+      console.log(chalk.blue(`Using the run saved in ${statePath}`));
+    }
+  }
+
+  const repos = options.repos || (Object.keys(entries).length ? Object.keys(entries) : config.repos) || [];
+  if (!repos.length) {
+    console.error(chalk.red(`Error: No repositories to roll back ${branchName} in. Use --repos, or give the run's state file.`));
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(`\nRolling back ${branchName} in:`));
+  for (const repo of repos) {
+    console.log(chalk.green(`  ${repo}`));
+  }
+
+  // Closing PRs and deleting branches can't be undone, so ask first (a dry run changes nothing)
+  if (!options.dryRun) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: 'Do you want to close the pull requests and delete the branches?',
+        default: false
+      }
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.yellow('Operation cancelled.'));
+      process.exit(0);
+    }
+  }
+
+  const result = await rollbackCampaign({
+    branchName,
+    repos,
+    entries,
+    dryRun: Boolean(options.dryRun),
+    comment: options.comment,
+    provider: options.provider || config.provider,
+    providerFile: options.providerFile || config.providerFile,
+    cloneBase: options.cloneBase || config.cloneBase
+  });
+
+  // Exit with a failure code if any repository couldn't be rolled back
+  if (!result.success) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Report an error that stopped the CLI and exit with a failure code
+ * @param {Error} error - The error
+ */
+function exitWithError(error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
 
 // Main function to run the CLI
 async function run() {
   const options = program.opts();
-  let packages = options.packages || [];
-  let versions = options.versions || [];
-  let repos = options.repos || [];
+
+  // Values from the config file, if any; command line flags take precedence
+  const config = loadConfig(options.config) || {};
+  if (config.path) {
+    console.log(chalk.blue(`Using config file ${config.path}`));
+  }
+
+  // Packages and versions are matched by position, so take both from the same place
+  const packagesFromCli = Boolean(options.packages || options.versions);
+  let packages = (packagesFromCli ? options.packages : config.packages) || [];
+  let versions = (packagesFromCli ? options.versions : config.versions) || [];
+  let repos = options.repos || config.repos || [];
+  const discoverDirs = options.discover || config.discover || [];
+  const reposFile = options.reposFile || config.reposFile;
+  const include = options.include || config.include || [];
+  const exclude = options.exclude || config.exclude || [];
+  const findsRepos = Boolean(discoverDirs.length || reposFile);
+  const concurrency = options.concurrency !== undefined ? options.concurrency : (config.concurrency || 1);
+  const transitive = options.transitive !== undefined ? options.transitive : Boolean(config.transitive);
+  const stateFile = options.stateFile || config.stateFile || DEFAULT_STATE_FILE;
+
+  // Reviews are interactive, so repositories have to come one at a time
+  if (options.review && concurrency > 1) {
+    console.error(chalk.red('Error: --review needs a concurrency of 1.'));
+    process.exit(1);
+  }
+
+  // Resuming takes the packages, versions, branch and repositories from the last run
+  let previousState = null;
+  if (options.resume || options.retryFailed) {
+    previousState = loadState(stateFile);
+    repos = reposToRerun(previousState, options.retryFailed ? 'retry-failed' : 'resume');
+    if (!repos.length) {
+      console.log(chalk.green(`Nothing to rerun: no ${options.retryFailed ? 'failed' : 'unfinished'} repositories in ${stateFile}.`));
+      process.exit(0);
+    }
+    ({ packages, versions } = previousState.campaign);
+    console.log(chalk.blue(`Resuming the run saved in ${stateFile}: ${repos.length} repositories to go`));
+  }
 
   // If interactive mode or missing required parameters, prompt for input
-  if (options.interactive || !packages.length || !versions.length || !repos.length) {
+  if (options.interactive || !packages.length || !versions.length || (!repos.length && !findsRepos)) {
     console.log(chalk.cyan('Batch NPM Package Upgrader'));
     console.log(chalk.cyan('========================='));
 
@@ -35,7 +307,8 @@ async function run() {
         name: 'packages',
         message: 'Enter packages to update (space-separated):',
         when: !packages.length,
-        filter: (input) => input.split(' ').filter(Boolean)
+        filter: (input) => input.split(' ').filter(Boolean),
+        validate: (input) => (input.length ? input.map(validatePackageName).find(Boolean) || true : 'Enter at least one package')
       },
       {
         type: 'input',
@@ -45,16 +318,17 @@ async function run() {
         filter: (input) => input.split(' ').filter(Boolean),
         validate: (input, answers) => {
           const pkgs = packages.length ? packages : answers.packages;
-          return input.length === pkgs.length ?
-            true :
-            `Number of versions (${input.length}) must match number of packages (${pkgs.length})`;
+          if (input.length !== pkgs.length) {
+            return `Number of versions (${input.length}) must match number of packages (${pkgs.length})`;
+          }
+          return input.map(validateVersion).find(Boolean) || true;
         }
       },
       {
         type: 'input',
         name: 'repos',
         message: 'Enter repository paths (space-separated):',
-        when: !repos.length,
+        when: !repos.length && !findsRepos,
         filter: (input) => input.split(' ').filter(Boolean)
       }
     ]);
@@ -62,7 +336,32 @@ async function run() {
     // Merge command line options with interactive answers
     packages = packages.length ? packages : answers.packages;
     versions = versions.length ? versions : answers.versions;
-    repos = repos.length ? repos : answers.repos;
+    repos = repos.length || findsRepos ? repos : answers.repos;
+  }
+
+  // Add repositories from a list file and from discovery, then narrow them down
+  if (!previousState) {
+    if (reposFile) {
+      const listed = readRepoList(reposFile);
+      console.log(chalk.blue(`Read ${listed.length} repositories from ${reposFile}`));
+      repos = repos.concat(listed);
+    }
+
+    for (const dir of discoverDirs) {
+      const discovered = discoverRepos(dir, packages, { transitive });
+      console.log(chalk.blue(`Discovered ${discovered.length} repositories in ${dir} that depend on ${packages.join(', ')}`));
+      repos = repos.concat(discovered);
+    }
+
+    repos = repos.filter((repo, index) => (
+      repos.findIndex((other) => path.resolve(other) === path.resolve(repo)) === index
+    ));
+
+    if (include.length || exclude.length) {
+      const filtered = filterRepos(repos, include, exclude);
+      console.log(chalk.blue(`Kept ${filtered.length} of ${repos.length} repositories after --include/--exclude`));
+      repos = filtered;
+    }
   }
 
   // Validate requirements
@@ -77,7 +376,13 @@ async function run() {
   }
 
   if (repos.length === 0) {
-    console.error(chalk.red('Error: No repositories specified.'));
+    console.error(chalk.red(findsRepos ? 'Error: No matching repositories found.' : 'Error: No repositories specified.'));
+    process.exit(1);
+  }
+
+  const inputError = [...packages.map(validatePackageName), ...versions.map(validateVersion)].find(Boolean);
+  if (inputError) {
+    console.error(chalk.red(`Error: ${inputError}`));
     process.exit(1);
   }
 
@@ -92,40 +397,102 @@ async function run() {
     console.log(chalk.green(`  ${repo}`));
   }
 
-  // Confirm before proceeding
-  const { confirm } = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'confirm',
-      message: 'Do you want to proceed with the upgrade?',
-      default: false
-    }
-  ]);
+  // Confirm before proceeding (a dry run changes nothing, so no need to ask)
+  if (!options.dryRun) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: 'Do you want to proceed with the upgrade?',
+        default: false
+      }
+    ]);
 
-  if (!confirm) {
-    console.log(chalk.yellow('Operation cancelled.'));
-    process.exit(0);
+    if (!confirm) {
+      console.log(chalk.yellow('Operation cancelled.'));
+      process.exit(0);
+    }
   }
 
   // Start the upgrade process
-  const spinner = ora('Starting package update process...').start();
+  const spinner = ora(options.dryRun ? 'Starting dry run...' : 'Starting package update process...').start();
 
-  try {
-    await updatePackages({
-      packages,
-      versions,
-      repos
-    });
+  const upgrader = createUpgrader({
+    packages,
+    versions,
+    repos,
+    dryRun: Boolean(options.dryRun),
+    concurrency,
+    branchPrefix: config.branchPrefix,
+    branchName: previousState ? previousState.campaign.branchName : (options.branch || config.branch),
+    baseBranch: options.base || config.baseBranch,
+    prTitleTemplate: options.prTitle || config.prTitle,
+    prBodyTemplate: options.prBody || config.prBody,
+    usePrTemplate: options.prTemplate !== false && config.prTemplate !== false,
+    labels: options.labels || config.labels || [],
+    reviewers: options.reviewers || config.reviewers || [],
+    assignees: options.assignees || config.assignees || [],
+    milestone: options.milestone || config.milestone,
+    draft: options.draft !== undefined ? options.draft : Boolean(config.draft),
+    transitive,
+    installStrategy: options.installStrategy || config.installStrategy || 'force',
+    repoOverrides: config.repoOverrides,
+    registry: options.registry || config.registry,
+    saveExact: options.saveExact !== undefined ? options.saveExact : Boolean(config.saveExact),
+    savePrefix: options.savePrefix !== undefined ? options.savePrefix : config.savePrefix,
+    verifyScripts: options.verify || config.verify || [],
+    onVerifyFail: options.onVerifyFail || config.onVerifyFail || 'abort',
+    onDirty: options.onDirty || config.onDirty || 'abort',
+    retries: options.retries !== undefined ? options.retries : config.retries,
+    retryDelay: options.retryDelay !== undefined ? options.retryDelay : config.retryDelay,
+    stateFile: options.dryRun ? undefined : stateFile,
+    useWorktree: options.worktree !== undefined ? options.worktree : Boolean(config.worktree),
+    cloneBase: options.cloneBase || config.cloneBase,
+    provider: options.provider || config.provider,
+    providerFile: options.providerFile || config.providerFile,
+    previousState,
+    hooks: options.review ? { review: (review) => reviewRepo(review, spinner) } : {}
+  });
+
+  // The upgrader prints nothing itself: show its log, and follow along in the spinner
+  upgrader.on('output', ({ stream, text }) => process[stream].write(text));
+  upgrader.on('repo:start', ({ repo }) => {
+    spinner.text = `${options.dryRun ? 'Planning' : 'Updating'} ${repo}...`;
+  });
 
-    spinner.succeed('Package update process completed successfully.');
+  let result;
+  try {
+    result = await upgrader.run();
   } catch (error) {
     spinner.fail(`Error: ${error.message}`);
     process.exit(1);
   }
+
+  const failed = result.results.filter((repoResult) => !repoResult.success).length;
+  if (result.error) {
+    spinner.fail(`Error: ${result.error}`);
+  } else if (failed) {
+    spinner.fail(`${failed} of ${result.results.length} repositories failed. Run again with --retry-failed to retry them.`);
+  } else {
+    spinner.succeed(options.dryRun ? 'Dry run completed successfully.' : 'Package update process completed successfully.');
+  }
+
+  // Write the report, if one was asked for
+  const reportFile = options.reportFile || config.reportFile;
+  const reportFormat = options.report || config.report || (reportFile && /\.md$/i.test(reportFile) ? 'markdown' : 'json');
+  if (reportFile) {
+    fs.writeFileSync(reportFile, formatReport(result, reportFormat));
+    console.log(chalk.blue(`Report written to ${reportFile}`));
+  } else if (options.report || config.report) {
+    process.stdout.write(`\n${formatReport(result, reportFormat)}`);
+  }
+
+  // Exit with a failure code if any repository failed, so scripts and CI can tell
+  if (!result.success) {
+    process.exitCode = 1;
+  }
 }
 
-// Run the CLI
-run().catch(error => {
-  console.error(chalk.red(`Error: ${error.message}`));
-  process.exit(1);
-});
+// Run the CLI, or the command given
+program.action(() => run().catch(exitWithError));
+program.parse(process.argv);
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const chalk = require('chalk');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Where `org/repo` slugs are cloned from when --clone-base isn't given
+ */
+const DEFAULT_CLONE_BASE = 'https://github.com/';
+
+/**
+ * Git URLs: https, ssh, git and file URLs, and scp-like `git@host:org/repo`
+ */
+const GIT_URL = /^(?:[a-z+]+:\/\/|[\w.-]+@[\w.-]+:)/i;
+
+/**
+ * Repository slugs such as `acme/web-app`
+ */
+const REPO_SLUG = /^[\w.-]+\/[\w.-]+$/;
+
+/**
+ * Tell whether a repository entry is an `org/repo` slug rather than a local path
+ *
+ * Entries starting with `./`, `../` or `/`, entries ending in .git (bare
+ * repositories) and entries that exist on disk are paths, even if they look like a slug.
+ * @param {string} entry - Repository entry as given by the user
+ * @param {string} [cwd] - Directory a local path is relative to (default: the current directory)
+ * @returns {boolean} true if the entry is a slug
+ */
+function isRepoSlug(entry, cwd = process.cwd()) {
+  return REPO_SLUG.test(entry) &&
+    !/^\.{0,2}\//.test(entry) &&
+    !/\.git\/?$/.test(entry) &&
+    !fs.existsSync(path.resolve(cwd, entry));
+}
+
+/**
+ * Tell whether a repository entry points at a remote rather than a local checkout
+ *
+ * Git URLs, bare repositories (paths ending in .git) and `org/repo` slugs are remote.
+ * @param {string} entry - Repository entry as given by the user
+ * @param {string} [cwd] - Directory a local path is relative to (default: the current directory)
+ * @returns {boolean} true if the repository has to be cloned
+ */
+function isRemoteRepo(entry, cwd = process.cwd()) {
+  return GIT_URL.test(entry) || /\.git\/?$/.test(entry) || isRepoSlug(entry, cwd);
+}
+
+/**
+ * Get the URL to clone a remote repository entry from
+ * @param {string} entry - Git URL, bare repository path or `org/repo` slug
+ * @param {string} [cloneBase] - URL or directory slugs are relative to
+ * @param {string} [cwd] - Directory a local path is relative to (default: the current directory)
+ * @returns {string} Clone URL, or the entry itself for URLs and paths
+ */
+function cloneUrl(entry, cloneBase = DEFAULT_CLONE_BASE, cwd = process.cwd()) {
+  if (GIT_URL.test(entry) || !isRepoSlug(entry, cwd)) {
+    return entry;
+  }
+  return `${cloneBase.replace(/\/?$/, '/')}${entry.replace(/(?:\.git)?$/, '.git')}`;
+}
+
+/**
+ * Get a repository's name from its entry, e.g. "web-app" for `acme/web-app`,
+ * `git@github.com:acme/web-app.git` or `../web-app`
+ * @param {string} entry - Repository entry
+ * @returns {string} Repository name
+ */
+function repoName(entry) {
+  return path.basename(path.resolve(entry.replace(/^.*:/, '').replace(/\/+$/, '') || '.')).replace(/\.git$/, '');
+}
+
+/**
+ * Run git and turn a failure into an error with git's own message
+ * @param {string[]} args - git arguments
+ * @param {string} [cwd] - Working directory
+ * @returns {Promise<string>} stdout
+ */
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd });
+    return stdout;
+  } catch (error) {
+    const message = (error.stderr || '').trim().split('\n').pop() || error.message;
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+/**
+ * Create a temporary directory named after a repository
+ * @param {string} entry - Repository entry
+ * @returns {string} Path of the new, empty directory
+ */
+function makeTempDir(entry) {
+  const name = repoName(entry).replace(/[^\w.-]/g, '-');
+  return fs.mkdtempSync(path.join(os.tmpdir(), `batch-upgrade-${name}-`));
+}
+
+/**
+ * Create a throwaway checkout of a repository to run the update in
+ *
+ * Remote repositories are shallow-cloned. Local ones get a detached `git worktree`
+ * when useWorktree is set, so the developer's own checkout is never touched.
+ * @param {string} entry - Repository entry: local path, git URL, bare repository path or `org/repo` slug
+ * @param {Object} [options] - Options object
+ * @param {boolean} [options.useWorktree] - Use a temporary worktree for local repositories
+ * @param {string} [options.cloneBase] - URL or directory `org/repo` slugs are cloned from
+ * @param {string} [options.cwd] - Directory local paths are relative to (default: the current directory)
+ * @param {Object} [logger] - Logger from createRepoLogger
+ * @returns {Promise<{dir: string, remove: Function}|null>} Checkout directory and an async function that deletes it,
+ *   or null if the update should run in the local checkout itself
+ */
+async function createCheckout(entry, options = {}, logger = console) {
+  const { useWorktree = false, cloneBase, cwd = process.cwd() } = options;
+
+  if (isRemoteRepo(entry, cwd)) {
+    const url = cloneUrl(entry, cloneBase, cwd);
+    const dir = makeTempDir(entry);
+    logger.log(chalk.blue(`Cloning ${url} into ${dir}...`));
+
+    try {
+      await git(['clone', '--quiet', '--depth', '1', '--no-single-branch', url, dir], cwd);
+    } catch (error) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw new Error(`Could not clone ${url}: ${error.message}`);
+    }
+
+    return {
+      dir,
+      remove: async () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+  }
+
+  if (!useWorktree) {
+    return null;
+  }
+
+  const repoDir = path.resolve(cwd, entry);
+  const dir = makeTempDir(entry);
+  logger.log(chalk.blue(`Creating a temporary worktree of ${entry} in ${dir}...`));
+
+  try {
+    await git(['worktree', 'add', '--detach', dir], repoDir);
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw new Error(`Could not create a worktree of ${entry}: ${error.message}`);
+  }
+
+  return {
+    dir,
+    remove: async () => {
+      try {
+        await git(['worktree', 'remove', '--force', dir], repoDir);
+      } catch (error) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        await git(['worktree', 'prune'], repoDir).catch(() => {});
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CLONE_BASE,
+  isRemoteRepo,
+  cloneUrl,
+  repoName,
+  createCheckout
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+const { isRemoteRepo } = require('./checkout');
+
+/**
+ * Config file picked up from the current directory when --config isn't given
+ */
+const DEFAULT_CONFIG_FILE = '.batchupgraderc';
+
+/**
+ * Normalize the "packages" field of a config file
+ *
+ * Accepts either an object (`{ "react": "^18.3.0" }`) or an array of
+ * `{ "name": "react", "version": "^18.3.0" }` entries.
+ * @param {Object|Object[]} packages - Raw packages field
+ * @param {string} configPath - Config file path, for error messages
+ * @returns {{packages: string[], versions: string[]}} Package names and matching version ranges
+ */
+function normalizePackages(packages, configPath) {
+  const entries = Array.isArray(packages) ?
+    packages.map((entry) => [entry && entry.name, entry && entry.version]) :
+    Object.entries(packages || {});
+
+  for (const [name, version] of entries) {
+    if (typeof name !== 'string' || typeof version !== 'string') {
+      throw new Error(`Invalid package entry in ${configPath}: every package needs a name and a version range`);
+    }
+  }
+
+  return {
+    packages: entries.map(([name]) => name),
+    versions: entries.map(([, version]) => version)
+  };
+}
+
+/**
+ * Expand repository entries, which may be globs, relative to the config file
+ *
+ * Entries starting with "!" exclude matching directories from the globs. Git
+ * URLs and `org/repo` slugs that aren't local directories are kept as they are.
+ * @param {string[]} repos - Repository paths or globs
+ * @param {string} configDir - Directory containing the config file
+ * @returns {string[]} Repository paths relative to the current directory
+ */
+function expandRepos(repos, configDir) {
+  const expanded = [];
+  const ignore = repos.filter((repo) => repo.startsWith('!')).map((repo) => repo.slice(1));
+
+  for (const repo of repos.filter((entry) => !entry.startsWith('!'))) {
+    if (isRemoteRepo(repo, configDir) && !fs.existsSync(path.resolve(configDir, repo))) {
+      if (!expanded.includes(repo)) {
+        expanded.push(repo);
+      }
+      continue;
+    }
+
+    const matches = fg.isDynamicPattern(repo) ?
+      fg.sync(repo, { cwd: configDir, onlyDirectories: true, absolute: true, ignore }).sort() :
+      [path.resolve(configDir, repo)];
+
+    for (const match of matches) {
+      const relative = path.relative(process.cwd(), match) || '.';
+      if (!expanded.includes(relative)) {
+        expanded.push(relative);
+      }
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Load and validate a config file
+ * @param {string} [configPath] - Path to the config file, defaults to .batchupgraderc if it exists
+ * @returns {Object|null} Normalized config, or null if no path was given and there's no default file
+ */
+function loadConfig(configPath) {
+  if (!configPath) {
+    if (!fs.existsSync(DEFAULT_CONFIG_FILE)) {
+      return null;
+    }
+    configPath = DEFAULT_CONFIG_FILE;
+  }
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  const configDir = path.dirname(path.resolve(configPath));
+  const { packages, versions } = normalizePackages(raw.packages, configPath);
+
+  // Override keys are repo paths relative to the config file, stored as absolute paths
+  const repoOverrides = {};
+  for (const [repo, override] of Object.entries(raw.overrides || {})) {
+    repoOverrides[path.resolve(configDir, repo)] = override;
+  }
+
+  // Directories and files are relative to the config file, stored relative to the current directory
+  const fromConfigDir = (file) => path.relative(process.cwd(), path.resolve(configDir, file)) || '.';
+
+  return {
+    path: configPath,
+    packages,
+    versions,
+    repos: expandRepos(raw.repos || [], configDir),
+    discover: [].concat(raw.discover || []).map(fromConfigDir),
+    reposFile: raw.reposFile && fromConfigDir(raw.reposFile),
+    worktree: raw.worktree,
+    cloneBase: raw.cloneBase,
+    provider: raw.provider,
+    providerFile: raw.providerFile && fromConfigDir(raw.providerFile),
+    include: raw.include,
+    exclude: raw.exclude,
+    branchPrefix: raw.branchPrefix,
+    branch: raw.branch,
+    baseBranch: raw.base,
+    prTitle: raw.prTitle,
+    prBody: raw.prBody,
+    prTemplate: raw.prTemplate,
+    labels: raw.labels,
+    reviewers: raw.reviewers,
+    assignees: raw.assignees,
+    milestone: raw.milestone,
+    draft: raw.draft,
+    transitive: raw.transitive,
+    installStrategy: raw.installStrategy,
+    concurrency: raw.concurrency,
+    registry: raw.registry,
+    saveExact: raw.saveExact,
+    savePrefix: raw.savePrefix,
+    verify: raw.verify,
+    onVerifyFail: raw.onVerifyFail,
+    onDirty: raw.onDirty,
+    retries: raw.retries,
+    retryDelay: raw.retryDelay,
+    stateFile: raw.stateFile,
+    report: raw.report,
+    reportFile: raw.reportFile,
+    repoOverrides
+  };
+}
+
+/**
+ * Find the per-repo override for a repository
+ * @param {Object} repoOverrides - Overrides keyed by absolute repository path
+ * @param {string} repoPath - Repository path
+ * @param {string} [cwd] - Directory a relative repository path is relative to (default: the current directory)
+ * @returns {Object} Override (skip, packages, base), empty if there is none
+ */
+function findRepoOverride(repoOverrides, repoPath, cwd = process.cwd()) {
+  return (repoOverrides && repoOverrides[path.resolve(cwd, repoPath)]) || {};
+}
+
+/**
+ * Apply a per-repo override to the packages and versions to update
+ * @param {string[]} packages - Packages to update
+ * @param {string[]} versions - Version ranges
+ * @param {Object} override - Override from findRepoOverride
+ * @returns {{packages: string[], versions: string[], skipped: Object[]}} Packages for this repository, and the ones the override skips
+ */
+function applyRepoOverride(packages, versions, override) {
+  const skip = override.skip || [];
+  const versionOverrides = override.packages || {};
+  const result = { packages: [], versions: [], skipped: [] };
+
+  for (let i = 0; i < packages.length; i++) {
+    if (skip.includes(packages[i])) {
+      result.skipped.push({ pkg: packages[i], reason: 'Skipped by per-repo config' });
+      continue;
+    }
+    result.packages.push(packages[i]);
+    result.versions.push(versionOverrides[packages[i]] || versions[i]);
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  loadConfig,
+  expandRepos,
+  findRepoOverride,
+  applyRepoOverride
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+const micromatch = require('micromatch');
+const { findWorkspaceManifests } = require('./workspaces');
+const { expandRepos } = require('./config');
+const { detectPackageManager } = require('./package-manager');
+const { readLockedVersions } = require('./release-notes');
+
+/**
+ * package.json sections a requested package can be declared in
+ */
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies'];
+
+/**
+ * How many directories deep discovery looks for repositories
+ */
+const DEFAULT_DISCOVER_DEPTH = 3;
+
+/**
+ * Check whether any manifest in a repository declares one of the packages
+ * @param {string} repoDir - Repository directory
+ * @param {string[]} packages - Package names
+ * @returns {boolean} true if the root package.json or a workspace declares at least one of them
+ */
+function dependsOnAny(repoDir, packages) {
+  if (!fs.existsSync(path.join(repoDir, 'package.json'))) {
+    return false;
+  }
+
+  let manifests;
+  try {
+    manifests = findWorkspaceManifests(repoDir);
+  } catch (error) {
+    manifests = ['package.json'];
+  }
+
+  return manifests.some((manifest) => {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(fs.readFileSync(path.join(repoDir, manifest), 'utf8'));
+    } catch (error) {
+      return false;
+    }
+
+    return DEPENDENCY_SECTIONS.some((section) => (
+      packageJson[section] && packages.some((pkg) => Object.prototype.hasOwnProperty.call(packageJson[section], pkg))
+    ));
+  });
+}
+
+/**
+ * Check whether a repository's lockfile has any of the packages, directly or transitively
+ * @param {string} repoDir - Repository directory
+ * @param {string[]} packages - Package names
+ * @returns {boolean} true if the lockfile resolves at least one of them
+ */
+function locksAny(repoDir, packages) {
+  if (!fs.existsSync(path.join(repoDir, 'package.json'))) {
+    return false;
+  }
+
+  const { lockfile } = detectPackageManager(repoDir);
+  const locked = readLockedVersions(repoDir, lockfile, packages);
+  return packages.some((pkg) => locked[pkg].length > 0);
+}
+
+/**
+ * Find git repositories under a directory that depend on any of the packages
+ * @param {string} rootDir - Directory to scan
+ * @param {string[]} packages - Package names
+ * @param {Object} [options] - Options object
+ * @param {number} [options.depth] - How many directories deep to look
+ * @param {boolean} [options.transitive] - Also find repositories that only depend on the packages transitively
+ * @returns {string[]} Repository paths relative to the current directory, sorted
+ */
+function discoverRepos(rootDir, packages, options = {}) {
+  const { depth = DEFAULT_DISCOVER_DEPTH, transitive = false } = options;
+
+  if (!fs.existsSync(rootDir)) {
+    throw new Error(`Directory to discover repositories in not found: ${rootDir}`);
+  }
+
+  // .git is a directory in a clone and a file in a worktree
+  const gitEntries = fg.sync('**/.git', {
+    cwd: rootDir,
+    dot: true,
+    onlyFiles: false,
+    deep: depth + 1,
+    ignore: ['**/node_modules/**'],
+    absolute: true
+  });
+
+  return gitEntries
+    .map((gitEntry) => path.dirname(gitEntry))
+    .filter((repoDir) => dependsOnAny(repoDir, packages) || (transitive && locksAny(repoDir, packages)))
+    .map((repoDir) => path.relative(process.cwd(), repoDir) || '.')
+    .sort();
+}
+
+/**
+ * Read repository paths from a list file, one per line
+ *
+ * Blank lines and lines starting with "#" are ignored. Entries are relative to
+ * the list file and may be globs, as in the config file's "repos" field.
+ * @param {string} listPath - Path to the list file
+ * @returns {string[]} Repository paths relative to the current directory
+ */
+function readRepoList(listPath) {
+  if (!fs.existsSync(listPath)) {
+    throw new Error(`Repository list not found: ${listPath}`);
+  }
+
+  const entries = fs.readFileSync(listPath, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+  return expandRepos(entries, path.dirname(path.resolve(listPath)));
+}
+
+/**
+ * Keep the repositories matching any include glob and no exclude glob
+ *
+ * Globs are matched against both the repository path and its directory name,
+ * so `legacy-*` and `services/*` both work.
+ * @param {string[]} repos - Repository paths
+ * @param {string[]} [include] - Globs to keep, every repository is kept if empty
+ * @param {string[]} [exclude] - Globs to drop
+ * @returns {string[]} Filtered repository paths
+ */
+function filterRepos(repos, include = [], exclude = []) {
+  const matches = (repo, globs) => {
+    const candidates = [repo.split(path.sep).join('/'), path.basename(path.resolve(repo))];
+    return candidates.some((candidate) => micromatch.isMatch(candidate, globs));
+  };
+
+  return repos.filter((repo) => (
+    (!include.length || matches(repo, include)) && !(exclude.length && matches(repo, exclude))
+  ));
+}
+
+module.exports = {
+  DEFAULT_DISCOVER_DEPTH,
+  discoverRepos,
+  readRepoList,
+  filterRepos
+};
@@ -0,0 +1,112 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run a command quietly in a repository and return its trimmed stdout
+ * @param {string} cmd - Executable
+ * @param {string[]} args - Arguments
+ * @param {string} cwd - Repository directory
+ * @returns {Promise<string|null>} stdout, or null if the command failed
+ */
+async function readCommand(cmd, args, cwd) {
+  try {
+    const { stdout } = await execFileAsync(cmd, args, { cwd });
+    return stdout.trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the default branch of a repository's origin remote
+ *
+ * Reads origin/HEAD first (set by `git clone` or `git remote set-head origin --auto`),
+ * then asks the remote itself, then the code host.
+ * @param {string} repoDir - Repository directory
+ * @param {Object} [provider] - Code host provider (see ./providers)
+ * @returns {Promise<{branch: string, source: string}|null>} Branch and where it came from, or null if unknown
+ */
+async function detectDefaultBranch(repoDir, provider) {
+  const originHead = await readCommand('git', ['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], repoDir);
+  if (originHead && originHead.startsWith('origin/')) {
+    return { branch: originHead.slice('origin/'.length), source: 'origin/HEAD' };
+  }
+
+  // e.g. "ref: refs/heads/main\tHEAD"
+  const remoteHead = await readCommand('git', ['ls-remote', '--symref', 'origin', 'HEAD'], repoDir);
+  const match = remoteHead && remoteHead.match(/^ref: refs\/heads\/(\S+)\tHEAD/m);
+  if (match) {
+    return { branch: match[1], source: 'git ls-remote' };
+  }
+
+  const hostDefault = provider && await provider.defaultBranch(repoDir);
+  if (hostDefault) {
+    return { branch: hostDefault, source: provider.name };
+  }
+
+  return null;
+}
+
+/**
+ * List uncommitted changes to tracked files
+ *
+ * Untracked files are left out, since resetting and switching branches leave them alone.
+ * @param {string} repoDir - Repository directory
+ * @returns {Promise<string[]|null>} `git status --porcelain` lines, empty if clean, or null if repoDir isn't a git repository
+ */
+async function getUncommittedChanges(repoDir) {
+  const status = await readCommand('git', ['status', '--porcelain', '--untracked-files=no'], repoDir);
+  if (status === null) {
+    return null;
+  }
+  return status ? status.split('\n') : [];
+}
+
+/**
+ * List the untracked files that aren't ignored
+ * @param {string} repoDir - Repository directory
+ * @returns {Promise<string[]>} Paths relative to the repository, with a wholly untracked directory listed
+ *   once as `dir/`; empty if there are none or they can't be read
+ */
+async function listUntracked(repoDir) {
+  const output = await readCommand('git', ['ls-files', '-z', '--others', '--exclude-standard', '--directory'], repoDir);
+  return (output || '').split('\0').filter(Boolean);
+}
+
+/**
+ * Get the branch a repository is on, or the commit if HEAD is detached
+ * @param {string} repoDir - Repository directory
+ * @returns {Promise<string|null>} Branch name or commit SHA, or null if it can't be read
+ */
+async function getCurrentRef(repoDir) {
+  const branch = await readCommand('git', ['rev-parse', '--abbrev-ref', 'HEAD'], repoDir);
+  if (branch !== 'HEAD') {
+    return branch;
+  }
+  return readCommand('git', ['rev-parse', 'HEAD'], repoDir);
+}
+
+/**
+ * Get the commit a branch points to on the origin remote
+ * @param {string} repoDir - Repository directory
+ * @param {string} branch - Branch name
+ * @returns {Promise<string|null>} Commit SHA, an empty string if origin has no such branch, or null if origin can't be reached
+ */
+async function getRemoteBranchSha(repoDir, branch) {
+  const refs = await readCommand('git', ['ls-remote', '--heads', 'origin', `refs/heads/${branch}`], repoDir);
+  if (refs === null) {
+    return null;
+  }
+  return refs.split('\t')[0];
+}
+
+module.exports = {
+  readCommand,
+  detectDefaultBranch,
+  getUncommittedChanges,
+  listUntracked,
+  getCurrentRef,
+  getRemoteBranchSha
+};
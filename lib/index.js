@@ -1,8 +1,77 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const { execFileSync, spawn } = require('child_process');
+const EventEmitter = require('events');
 const semver = require('semver');
 const chalk = require('chalk');
+const { detectPackageManager, findPeerConflicts, isTransientInstallFailure, INSTALL_STRATEGIES } = require('./package-manager');
+const { findWorkspaceManifests } = require('./workspaces');
+const { findOverrides, setOverride } = require('./overrides');
+const { setJsonValue, checkManifestEdits } = require('./manifest');
+const { findRepoOverride, applyRepoOverride } = require('./config');
+const { createVersionResolver } = require('./registry');
+const { rollbackCampaign } = require('./rollback');
+const { createState, saveState, resumePoint } = require('./state');
+const { createCheckout, repoName, isRemoteRepo } = require('./checkout');
+const { createProviderResolver, PROVIDER_IDS } = require('./providers');
+const { withTempFile } = require('./providers/run');
+const { readLockedVersions, formatReleaseNotes } = require('./release-notes');
+const { compareLockfiles, REVIEW_ACTIONS } = require('./review');
+const { validatePackageName, validateVersion, validateBranchName } = require('./validate');
+const {
+  readCommand,
+  detectDefaultBranch,
+  getUncommittedChanges,
+  listUntracked,
+  getCurrentRef,
+  getRemoteBranchSha
+} = require('./git');
+
+/**
+ * Default PR title and body templates
+ *
+ * Placeholders: {packages} (e.g. "react@^18.3.0, lodash@^4.17.21"), {changes}
+ * (one bullet per package), {repo} (repository name), {package}, {from} and
+ * {to} (the updated packages, their previous and new versions, comma separated
+ * when there are several), {releaseNotes} (locked versions, compare links and
+ * changelog excerpts) and {template} (the repository's own PR template).
+ */
+const DEFAULT_PR_TITLE = 'Update npm packages: {packages}';
+const DEFAULT_PR_BODY = 'This PR updates the following npm packages:\n\n{changes}\n{releaseNotes}Automatically generated by batch-upgrade-npm-packages.';
+
+/**
+ * Where repositories keep their PR template, in the order they are looked for
+ */
+const PR_TEMPLATE_PATHS = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md',
+  '.gitlab/merge_request_templates/Default.md'
+];
+
+/**
+ * Label added to draft PRs whose verification scripts failed
+ */
+const VERIFY_FAILED_LABEL = 'verification failed';
+
+/**
+ * Number of output lines from a failing verification script attached to the PR body
+ */
+const VERIFY_OUTPUT_LINES = 50;
+
+/**
+ * How many times a flaky step (install, push) is retried before the repository fails
+ */
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Delay before the first retry, in milliseconds. Each further retry waits twice as long
+ */
+const DEFAULT_RETRY_DELAY = 5000;
 
 /**
  * Check if GitHub CLI is logged in
@@ -11,7 +80,7 @@ const chalk = require('chalk');
 function checkGhLogin() {
   try {
     console.log(chalk.blue('Checking if you\'re logged into GitHub CLI...'));
-    execSync('gh auth status', { stdio: 'ignore' });
+    execFileSync('gh', ['auth', 'status'], { stdio: 'ignore' });
     console.log(chalk.green('GitHub CLI authentication confirmed.'));
     return true;
   } catch (error) {
@@ -24,9 +93,10 @@ function checkGhLogin() {
  * Check if a package exists in package.json
  * @param {string} pkg - Package name
  * @param {string} packageJsonPath - Path to package.json
+ * @param {Object} [logger] - Where to report errors (default: console)
  * @returns {boolean} true if package exists, false otherwise
  */
-function packageExists(pkg, packageJsonPath = 'package.json') {
+function packageExists(pkg, packageJsonPath = 'package.json', logger = console) {
   if (!fs.existsSync(packageJsonPath)) {
     return false;
   }
@@ -39,7 +109,7 @@ function packageExists(pkg, packageJsonPath = 'package.json') {
       (packageJson.peerDependencies && packageJson.peerDependencies[pkg])
     );
   } catch (error) {
-    console.error(chalk.red(`Error checking if package ${pkg} exists: ${error.message}`));
+    logger.error(chalk.red(`Error checking if package ${pkg} exists: ${error.message}`));
     return false;
   }
 }
@@ -48,93 +118,506 @@ function packageExists(pkg, packageJsonPath = 'package.json') {
  * Get the current version of a package from package.json
  * @param {string} pkg - Package name
  * @param {string} packageJsonPath - Path to package.json
- * @returns {Object|null} Object with section and version, or null if not found
+ * @param {Object} [logger] - Where to report errors (default: console)
+ * @returns {Object|null} Object with section and version from the first section listing the package, or null if not found
+ */
+function getCurrentVersion(pkg, packageJsonPath = 'package.json', logger = console) {
+  return getCurrentVersions(pkg, packageJsonPath, logger)[0] || null;
+}
+
+/**
+ * Get the version of a package in every section of package.json that lists it
+ *
+ * A package can be both a peer and a dev dependency, and each needs updating.
+ * @param {string} pkg - Package name
+ * @param {string} packageJsonPath - Path to package.json
+ * @param {Object} [logger] - Where to report errors (default: console)
+ * @returns {Object[]} Objects with section and version, empty if not found
  */
-function getCurrentVersion(pkg, packageJsonPath = 'package.json') {
+function getCurrentVersions(pkg, packageJsonPath = 'package.json', logger = console) {
   if (!fs.existsSync(packageJsonPath)) {
-    return null;
+    return [];
   }
 
   try {
     const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
     const sections = ['dependencies', 'devDependencies', 'peerDependencies'];
 
-    for (const section of sections) {
-      if (packageJson[section] && packageJson[section][pkg]) {
-        return {
-          section,
-          version: packageJson[section][pkg]
-        };
-      }
-    }
-    return null;
+    return sections
+      .filter((section) => packageJson[section] && packageJson[section][pkg])
+      .map((section) => ({ section, version: packageJson[section][pkg] }));
   } catch (error) {
-    console.error(chalk.red(`Error getting current version for ${pkg}: ${error.message}`));
-    return null;
+    logger.error(chalk.red(`Error getting current version for ${pkg}: ${error.message}`));
+    return [];
   }
 }
 
 /**
  * Compare versions - returns true if current version is >= target version
+ *
+ * Both sides may be exact versions or semver ranges (e.g. "^18.0.0", ">=5 <6",
+ * "18.x"); ranges are compared by the lowest version they allow.
  * @param {string} current - Current version
  * @param {string} target - Target version
  * @returns {boolean} true if current version is >= target version
+ * @throws {Error} If either side is not a valid semver version or range, or is a range no version satisfies
  */
 function versionIsHigherOrEqual(current, target) {
-  // Remove any caret, tilde or equals prefix from versions for comparison
-  const cleanCurrent = current.replace(/^[\^~=]/, '');
-  const cleanTarget = target.replace(/^[\^~=]/, '');
+  const [lowestCurrent, lowestTarget] = [current, target].map((version) => {
+    if (!semver.validRange(version)) {
+      throw new Error(`${version} is not a valid semver version or range`);
+    }
+    const lowest = semver.minVersion(version);
+    if (!lowest) {
+      throw new Error(`${version} is a range no version satisfies`);
+    }
+    return lowest;
+  });
 
-  return semver.gte(cleanCurrent, cleanTarget);
+  return semver.gte(lowestCurrent, lowestTarget);
 }
 
 /**
- * Update package.json with new package version
+ * Update package.json with new package version, changing only that version string
  * @param {string} pkg - Package name
  * @param {string} section - Section in package.json (dependencies, devDependencies, peerDependencies)
  * @param {string} version - New version
  * @param {string} packageJsonPath - Path to package.json
+ * @param {Object} [logger] - Where to report errors (default: console)
  * @returns {boolean} true if update was successful, false otherwise
  */
-function updatePackageJson(pkg, section, version, packageJsonPath = 'package.json') {
+function updatePackageJson(pkg, section, version, packageJsonPath = 'package.json', logger = console) {
   try {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const text = fs.readFileSync(packageJsonPath, 'utf8');
+    const packageJson = JSON.parse(text);
 
     if (packageJson[section] && packageJson[section][pkg] !== undefined) {
-      packageJson[section][pkg] = version;
-      fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+      fs.writeFileSync(packageJsonPath, setJsonValue(text, [section, pkg], version));
       return true;
     }
     return false;
   } catch (error) {
-    console.error(chalk.red(`Error updating package.json for ${pkg}: ${error.message}`));
+    logger.error(chalk.red(`Error updating package.json for ${pkg}: ${error.message}`));
     return false;
   }
 }
 
+/**
+ * Work out which packages in package.json need updating
+ * @param {string[]} packages - Packages to update
+ * @param {string[]} versions - Version ranges
+ * @param {string} packageJsonPath - Path to package.json
+ * @param {Array<string|null>} [resolvedVersions] - Registry versions the ranges resolve to, for reporting
+ * @param {Object} [logger] - Where to report errors reading package.json (default: console)
+ * @returns {{updates: Object[], skipped: Object[]}} Packages that would be updated, and packages skipped with a reason
+ */
+function analyzePackages(packages, versions, packageJsonPath = 'package.json', resolvedVersions = [], logger = console) {
+  const updates = [];
+  const skipped = [];
+
+  for (let i = 0; i < packages.length; i++) {
+    const pkg = packages[i];
+    const ver = versions[i];
+
+    // Skip packages that don't exist in package.json
+    if (!packageExists(pkg, packageJsonPath, logger)) {
+      skipped.push({ pkg, reason: 'Not found in package.json' });
+      continue;
+    }
+
+    // Check current version in every dependency section that lists the package
+    const currentVersions = getCurrentVersions(pkg, packageJsonPath, logger);
+
+    if (!currentVersions.length) {
+      skipped.push({ pkg, reason: 'Could not determine current version' });
+      continue;
+    }
+
+    // Ranges such as ">5 <4" are valid semver but allow no version at all, so there is nothing to compare
+    if (!semver.validRange(ver) || !semver.minVersion(ver)) {
+      skipped.push({ pkg, reason: `Target ${ver} is not a range any version satisfies` });
+      continue;
+    }
+
+    // Only name the section when the package is listed in several
+    const inSection = (section) => (currentVersions.length > 1 ? ` in ${section}` : '');
+
+    for (const { section, version: currentVersion } of currentVersions) {
+      // workspace:, file:, git and npm: alias specs can't be compared with a version
+      if (!semver.validRange(currentVersion)) {
+        skipped.push({ pkg, section, reason: `Current version ${currentVersion}${inSection(section)} is not a semver range` });
+        continue;
+      }
+
+      if (!semver.minVersion(currentVersion)) {
+        skipped.push({ pkg, section, reason: `Current version ${currentVersion}${inSection(section)} is a range no version satisfies` });
+        continue;
+      }
+
+      // Compare versions and skip if current is >= target
+      if (versionIsHigherOrEqual(currentVersion, ver)) {
+        skipped.push({ pkg, section, reason: `Current version ${currentVersion}${inSection(section)} is already >= ${ver}` });
+        continue;
+      }
+
+      updates.push({ pkg, section, from: currentVersion, to: ver, resolved: resolvedVersions[i] || null });
+    }
+  }
+
+  return { updates, skipped };
+}
+
+/**
+ * Work out which overrides to add or update to force packages to a version wherever they are installed
+ *
+ * The override field depends on the package manager: "overrides" for npm,
+ * "resolutions" for Yarn and "pnpm.overrides" for pnpm. npm refuses an override
+ * for a direct dependency unless it is the same spec, so those get a "$pkg"
+ * reference to the direct dependency instead.
+ * @param {string[]} packages - Packages to update
+ * @param {string[]} versions - Version ranges
+ * @param {string} repoDir - Repository directory
+ * @param {Array<string|null>} [resolvedVersions] - Registry versions the ranges resolve to, for reporting
+ * @param {Object} [logger] - Where to report errors reading package.json (default: console)
+ * @returns {{updates: Object[], skipped: Object[]}} Same as analyzePackages, with the keyPath of each override in package.json
+ */
+function analyzeOverrides(packages, versions, repoDir = '.', resolvedVersions = [], logger = console) {
+  const packageJsonPath = path.join(repoDir, 'package.json');
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const packageManager = detectPackageManager(repoDir);
+  const hasLockfile = fs.existsSync(path.join(repoDir, packageManager.lockfile));
+  const locked = readLockedVersions(repoDir, packageManager.lockfile, packages);
+  const updates = [];
+  const skipped = [];
+
+  for (let i = 0; i < packages.length; i++) {
+    const pkg = packages[i];
+    const direct = packageManager.id === 'npm' &&
+      getCurrentVersions(pkg, packageJsonPath, logger).some(({ section }) => section !== 'peerDependencies');
+    const to = direct ? `$${pkg}` : versions[i];
+    const { field, entries } = findOverrides(packageJson, packageManager, pkg);
+    const section = field.join('.');
+    const resolved = resolvedVersions[i] || null;
+
+    if (!direct && (!semver.validRange(to) || !semver.minVersion(to))) {
+      skipped.push({ pkg, section, manifest: 'package.json', reason: `Target ${to} is not a range any version satisfies` });
+      continue;
+    }
+
+    // No point forcing a version of something nothing installs
+    if (!entries.length && hasLockfile && !locked[pkg].length) {
+      skipped.push({ pkg, section, manifest: 'package.json', reason: `Not installed according to ${packageManager.lockfile}, no override needed` });
+      continue;
+    }
+
+    if (!entries.length) {
+      updates.push({ pkg, section, keyPath: [...field, pkg], from: null, to, resolved, manifest: 'package.json' });
+      continue;
+    }
+
+    for (const { keyPath, version } of entries) {
+      const key = keyPath.slice(field.length).join(' > ');
+      if (version === to) {
+        skipped.push({ pkg, section, manifest: 'package.json', reason: `Override ${key} already follows the direct dependency` });
+      } else if (typeof version !== 'string' || !semver.validRange(version)) {
+        skipped.push({ pkg, section, manifest: 'package.json', reason: `Override ${key}: ${version} in ${section} is not a semver range` });
+      } else if (!semver.minVersion(version)) {
+        skipped.push({ pkg, section, manifest: 'package.json', reason: `Override ${key}: ${version} in ${section} is a range no version satisfies` });
+      } else if (!direct && versionIsHigherOrEqual(version, to)) {
+        skipped.push({ pkg, section, manifest: 'package.json', reason: `Override ${key}: ${version} in ${section} is already >= ${to}` });
+      } else {
+        updates.push({ pkg, section, keyPath, from: version, to, resolved, manifest: 'package.json' });
+      }
+    }
+  }
+
+  return { updates, skipped };
+}
+
+/**
+ * Work out which packages need updating across a repository, including workspace package.json files
+ * @param {string[]} packages - Packages to update
+ * @param {string[]} versions - Version ranges
+ * @param {string} repoDir - Repository directory
+ * @param {Array<string|null>} [resolvedVersions] - Registry versions the ranges resolve to, for reporting
+ * @param {Object} [options] - Options object
+ * @param {boolean} [options.transitive] - Also add or update overrides, so transitive copies are forced to the version too
+ * @param {Object} [options.logger] - Where to report errors reading a package.json (default: console)
+ * @returns {{updates: Object[], skipped: Object[], manifests: string[]}} Same as analyzePackages, with the manifest of each entry
+ */
+function analyzeRepo(packages, versions, repoDir = '.', resolvedVersions = [], options = {}) {
+  const { logger = console } = options;
+  const manifests = findWorkspaceManifests(repoDir);
+  const updates = [];
+  const skipped = [];
+
+  for (const manifest of manifests) {
+    const packageJsonPath = path.join(repoDir, manifest);
+    const plan = analyzePackages(packages, versions, packageJsonPath, resolvedVersions, logger);
+
+    updates.push(...plan.updates.map((update) => ({ ...update, manifest })));
+
+    // Only report skips from manifests that actually declare the package
+    skipped.push(...plan.skipped
+      .filter(({ pkg }) => packageExists(pkg, packageJsonPath, logger))
+      .map((skip) => ({ ...skip, manifest })));
+  }
+
+  // Overrides only work in the root package.json
+  if (options.transitive && fs.existsSync(path.join(repoDir, 'package.json'))) {
+    const overrides = analyzeOverrides(packages, versions, repoDir, resolvedVersions, logger);
+    updates.push(...overrides.updates);
+    skipped.push(...overrides.skipped);
+  }
+
+  for (const pkg of packages) {
+    if (!updates.some((update) => update.pkg === pkg) && !skipped.some((skip) => skip.pkg === pkg)) {
+      skipped.push({
+        pkg,
+        reason: manifests.length > 1 ? 'Not found in package.json or any workspace' : 'Not found in package.json'
+      });
+    }
+  }
+
+  return { updates, skipped, manifests };
+}
+
+/**
+ * Describe where a package was found, omitting the manifest for the root package.json
+ * @param {string} section - Section in package.json
+ * @param {string} [manifest] - Manifest path relative to the repository
+ * @returns {string} e.g. "dependencies section of packages/web/package.json"
+ */
+function describeLocation(section, manifest) {
+  return manifest && manifest !== 'package.json' ?
+    `${section} section of ${manifest}` :
+    `${section} section`;
+}
+
+/**
+ * Describe a target version, with the registry version it resolves to when that adds anything
+ * @param {string} to - Version spec written to package.json
+ * @param {string|null} [resolved] - Registry version it resolves to
+ * @returns {string} e.g. "^18.0.0 (resolves to 18.3.1)"
+ */
+function describeTarget(to, resolved) {
+  return resolved && resolved !== to ? `${to} (resolves to ${resolved})` : to;
+}
+
+/**
+ * Print the plan for a repository without changing anything
+ * @param {string} repoPath - Repository path
+ * @param {{updates: Object[], skipped: Object[]}} plan - Plan from analyzeRepo
+ * @param {Object} logger - Where to print the plan (console or a repo logger)
+ */
+function printPlan(repoPath, plan, logger = console) {
+  logger.log(chalk.cyan(`Plan for ${repoPath}:`));
+
+  for (const { pkg, section, from, to, resolved, manifest } of plan.updates) {
+    logger.log(chalk.green(from === null ?
+      `  - Would add ${pkg} ${describeTarget(to, resolved)} to ${describeLocation(section, manifest)}` :
+      `  - Would update ${pkg} from ${from} to ${describeTarget(to, resolved)} in ${describeLocation(section, manifest)}`));
+  }
+
+  for (const { pkg, reason, manifest } of plan.skipped) {
+    const where = manifest && manifest !== 'package.json' ? ` in ${manifest}` : '';
+    logger.log(chalk.yellow(`  - Would skip ${pkg}${where}: ${reason}`));
+  }
+
+  if (!plan.updates.length) {
+    logger.log(chalk.yellow('  No packages would be updated. No branch or PR would be created.'));
+  }
+}
+
+/**
+ * Split verification scripts into those package.json defines and those it doesn't
+ * @param {string[]} scripts - Script names, e.g. ['build', 'test', 'lint']
+ * @param {string} packageJsonPath - Path to package.json
+ * @returns {{present: string[], missing: string[]}} Scripts to run, and scripts to skip
+ */
+function findVerifyScripts(scripts, packageJsonPath = 'package.json') {
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const defined = packageJson.scripts || {};
+
+  return {
+    present: scripts.filter((script) => defined[script] !== undefined),
+    missing: scripts.filter((script) => defined[script] === undefined)
+  };
+}
+
+/**
+ * Format a failed verification script as a PR body section
+ * @param {string} command - Command that failed, e.g. "npm run test"
+ * @param {string} output - Combined output of the command
+ * @returns {string} Markdown with the last VERIFY_OUTPUT_LINES lines of output
+ */
+function formatVerificationFailure(command, output) {
+  const lines = output.replace(/\u001b\[[0-9;]*m/g, '').trim().split('\n');
+  const tail = lines.slice(-VERIFY_OUTPUT_LINES).join('\n');
+
+  return `\n\n## Verification failed\n\n\`${command}\` failed after the update. ` +
+    `Last ${Math.min(lines.length, VERIFY_OUTPUT_LINES)} lines of output:\n\n\`\`\`\n${tail}\n\`\`\`\n`;
+}
+
+/**
+ * Fill in {placeholder} values in a PR title or body template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text, with unknown placeholders left as they are
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+  ));
+}
+
+/**
+ * Read a repository's own PR template, if it has one
+ * @param {string} repoDir - Repository directory
+ * @returns {string|null} Template text, or null if there is none
+ */
+function readPullRequestTemplate(repoDir) {
+  for (const templatePath of PR_TEMPLATE_PATHS) {
+    const file = path.join(repoDir, templatePath);
+    if (fs.existsSync(file)) {
+      return fs.readFileSync(file, 'utf8').trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Render the PR title and body for the packages updated in a repository
+ *
+ * The repository's PR template goes where the body template has {template},
+ * or after the body if it has none.
+ * @param {Object} templates - Templates: title, body, and repoTemplate (the repository's PR template, or null)
+ * @param {Object} values - Placeholder values except {template}
+ * @returns {{title: string, body: string}} Rendered title and body
+ */
+function renderPullRequest(templates, values) {
+  const { title, body, repoTemplate } = templates;
+  const template = repoTemplate ? renderTemplate(repoTemplate, values) : '';
+  const rendered = renderTemplate(body, { ...values, template });
+
+  return {
+    title: renderTemplate(title, { ...values, template: '' }),
+    body: template && !body.includes('{template}') ? `${rendered.trimEnd()}\n\n---\n\n${template}\n` : rendered
+  };
+}
+
+/**
+ * Derive a stable branch name for a campaign from the packages and versions it updates
+ *
+ * The same packages and versions always give the same branch, so re-running a
+ * campaign finds the branch and PR it opened before. Long package lists are
+ * shortened to a hash.
+ *
+ * The slug drops range operators, scopes and case, so "react@^18.3.0" and
+ * "react@~18.3.0", or "@babel/core" and "babel-core", would share a branch and
+ * force-push over each other's PR. Unless every package and version is plain
+ * enough to survive as it is, a short hash of the exact list is added.
+ * @param {string[]} packages - Packages to update
+ * @param {string[]} versions - Version ranges
+ * @param {string} prefix - Branch name prefix
+ * @returns {string} Branch name, e.g. "update-packages-react-18.3.0" or "update-packages-react-18.3.0-1f0c2b9e" for ^18.3.0
+ */
+function campaignBranchName(packages, versions, prefix) {
+  const campaign = packages.map((pkg, i) => `${pkg}@${versions[i]}`).join(' ');
+  const hash = crypto.createHash('sha1').update(campaign).digest('hex');
+  let slug = campaign.toLowerCase()
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  const plain = [...packages, ...versions].every((part) => /^[a-z0-9][a-z0-9.-]*$/.test(part));
+
+  if (slug.length > 50) {
+    slug = hash.slice(0, 10);
+  } else if (!plain) {
+    slug = `${slug}-${hash.slice(0, 8)}`;
+  }
+
+  return `${prefix}-${slug}`;
+}
+
+/**
+ * Where output goes when no other destination is given: the process's own stdout and stderr
+ */
+const CONSOLE_OUTPUT = {
+  stdout: (text) => process.stdout.write(text),
+  stderr: (text) => process.stderr.write(text)
+};
+
+/**
+ * Create a logger for a single repository
+ *
+ * A buffered logger keeps everything in memory until flush() is called, so the
+ * output of repositories processed in parallel doesn't interleave.
+ * @param {boolean} buffered - Hold output until flush() instead of writing it straight away
+ * @param {{stdout: Function, stderr: Function}} [output] - Functions to write text to (default: the console)
+ * @returns {{log: Function, error: Function, stdout: Function, stderr: Function, flush: Function}} Logger
+ */
+function createRepoLogger(buffered = false, output = CONSOLE_OUTPUT) {
+  const chunks = [];
+
+  const write = (stream, text) => {
+    if (buffered) {
+      chunks.push({ stream, text });
+    } else {
+      output[stream](text);
+    }
+  };
+
+  return {
+    log: (message) => write('stdout', `${message}\n`),
+    error: (message) => write('stderr', `${message}\n`),
+    stdout: (text) => write('stdout', text),
+    stderr: (text) => write('stderr', text),
+    flush: () => {
+      for (const { stream, text } of chunks.splice(0)) {
+        output[stream](text);
+      }
+    }
+  };
+}
+
 /**
  * Execute a command in a specific directory
- * @param {string} command - Command to execute
+ *
+ * The arguments are passed to the executable as they are, without a shell, so
+ * branch names, package names and versions can never be run as commands.
+ * @param {string[]} command - Executable and its arguments, e.g. ['git', 'checkout', 'main']
  * @param {string} cwd - Working directory
+ * @param {Object} [logger] - Logger from createRepoLogger to send the command's output to
  * @returns {Promise<{success: boolean, output: string}>} Result of command execution
  */
-function executeCommand(command, cwd) {
+function executeCommand(command, cwd, logger = createRepoLogger()) {
   return new Promise((resolve) => {
     let output = '';
 
-    const [cmd, ...args] = command.split(' ');
-    const proc = spawn(cmd, args, { cwd, shell: true });
+    const [cmd, ...args] = command;
+    const proc = spawn(cmd, args, { cwd });
+
+    // e.g. the executable isn't installed
+    proc.on('error', (error) => {
+      output += `${error.message}\n`;
+      logger.stderr(`${error.message}\n`);
+      resolve({
+        success: false,
+        output
+      });
+    });
 
     proc.stdout.on('data', (data) => {
       const text = data.toString();
       output += text;
-      process.stdout.write(text);
+      logger.stdout(text);
     });
 
     proc.stderr.on('data', (data) => {
       const text = data.toString();
       output += text;
-      process.stderr.write(text);
+      logger.stderr(text);
     });
 
     proc.on('close', (code) => {
@@ -146,231 +629,1159 @@ function executeCommand(command, cwd) {
   });
 }
 
+/**
+ * Execute a command, retrying with exponential backoff if it fails
+ * @param {string[]} command - Executable and its arguments (see executeCommand)
+ * @param {string} cwd - Working directory
+ * @param {Object} logger - Logger from createRepoLogger
+ * @param {Object} [retry] - Retry settings
+ * @param {number} [retry.retries] - Number of retries after the first attempt
+ * @param {number} [retry.retryDelay] - Delay before the first retry, in milliseconds
+ * @param {Function} [retry.shouldRetry] - Called with a failed result, returns false if the failure
+ *   would only happen again (default: retry every failure)
+ * @returns {Promise<{success: boolean, output: string}>} Result of the last attempt
+ */
+async function executeWithRetry(command, cwd, logger, retry = {}) {
+  const { retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, shouldRetry = () => true } = retry;
+
+  let result = await executeCommand(command, cwd, logger);
+  for (let attempt = 1; attempt <= retries && !result.success && shouldRetry(result); attempt++) {
+    const delay = retryDelay * 2 ** (attempt - 1);
+    logger.log(chalk.yellow(`${command.join(' ')} failed. Retrying in ${delay / 1000}s (retry ${attempt} of ${retries})...`));
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    result = await executeCommand(command, cwd, logger);
+  }
+
+  return result;
+}
+
 /**
  * Update a repository with new package versions
  * @param {Object} options - Options object
  * @param {string} options.repoPath - Repository path
  * @param {string[]} options.packages - Packages to update
  * @param {string[]} options.versions - Version ranges
- * @param {string} options.branchName - Branch name
+ * @param {string} options.branchName - Branch name, reused (and its open PR updated) if it already exists
  * @param {string} options.prTitle - PR title
  * @param {string} options.prBody - PR body
- * @returns {Promise<boolean>} true if update was successful, false otherwise
+ * @param {string} [options.baseBranch] - Branch to start from and open the PR against, detected from origin if not set
+ * @param {Array<string|null>} [options.resolvedVersions] - Registry versions the ranges resolve to, for reporting
+ * @param {Object[]} [options.skipped] - Packages skipped before analysis (per-repo overrides, unresolvable targets), with reasons
+ * @param {string} [options.prTitleTemplate] - PR title template (see DEFAULT_PR_TITLE)
+ * @param {string} [options.prBodyTemplate] - PR body template (see DEFAULT_PR_BODY)
+ * @param {string[]} [options.verifyScripts] - package.json scripts to run after install, e.g. ['build', 'test']
+ * @param {string} [options.onVerifyFail] - "abort" to skip the PR, or "draft" to open it as a labelled draft
+ * @param {string} [options.onDirty] - What to do with uncommitted changes: "abort" (default), "stash" or "reset"
+ * @param {boolean} [options.dryRun] - Only report what would change, without touching git or npm
+ * @param {boolean} [options.bufferOutput] - Hold all output until the repository is done, so parallel runs don't interleave
+ * @param {number} [options.retries] - Number of times to retry a failed install or push (default: 2)
+ * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds, doubled for each further retry (default: 5000)
+ * @param {Object} [options.resumeFrom] - Entry from a previous run's state whose update commit is still on the branch,
+ *   to push it and open the PR without redoing the update (see resumePoint in ./state)
+ * @param {Function} [options.onProgress] - Called with {step} as each step starts, and with the commit,
+ *   PR title, PR body and verificationFailed flag once the update is committed
+ * @param {boolean} [options.useWorktree] - Work in a temporary git worktree instead of a local repository's checkout
+ * @param {string} [options.cloneBase] - URL or directory `org/repo` slugs are cloned from (default: https://github.com/)
+ * @param {Function} [options.resolveProvider] - Provider resolver from createProviderResolver, shared between repositories
+ * @param {Function} [options.resolveTarget] - Version resolver from createVersionResolver, for versions changed in review
+ * @param {string} [options.providerId] - Code host provider to use instead of detecting it from the origin remote
+ * @param {string[]} [options.labels] - Labels to add to the PR
+ * @param {string[]} [options.reviewers] - Reviewers to request on the PR
+ * @param {string[]} [options.assignees] - Users to assign the PR to
+ * @param {string} [options.milestone] - Milestone to put the PR in
+ * @param {boolean} [options.draft] - Open the PR as a draft
+ * @param {boolean} [options.usePrTemplate] - Include the repository's own PR template in the body (default: true)
+ * @param {boolean} [options.transitive] - Also force transitive copies of the packages with the package manager's overrides
+ * @param {string} [options.installStrategy] - How to refresh the lockfile: "force" (default), "strict" or "lockfile-only"
+ * @param {string} [options.cwd] - Directory a local repository path is relative to (default: the current directory)
+ * @param {{stdout: Function, stderr: Function}} [options.output] - Where to write the log (default: the console)
+ * @param {Function} [options.emit] - Called with (event, payload) as the repository is worked on (see createUpgrader)
+ * @param {Object} [options.hooks] - Lifecycle hooks (see createUpgrader)
+ * @returns {Promise<RepoResult>} Repository result
  */
 async function updateRepo(options) {
-  const { repoPath, packages, versions, branchName, prTitle, prBody } = options;
-  const originalDir = process.cwd();
+  const { repoPath, useWorktree, cloneBase, cwd = process.cwd(), emit = () => {} } = options;
+  const logger = createRepoLogger(options.bufferOutput, options.output);
+  const startedAt = Date.now();
+  let checkout = null;
+  let result;
+
+  logger.log(chalk.cyan('\n-------------------------------------'));
+  logger.log(chalk.cyan(`Processing repository: ${repoPath}`));
+  emit('repo:start', { repo: repoPath });
+
+  try {
+    // Remote repositories (and local ones with useWorktree) get a throwaway checkout
+    try {
+      checkout = await createCheckout(repoPath, { useWorktree, cloneBase, cwd }, logger);
+    } catch (error) {
+      logger.error(chalk.red(`Error: ${error.message}`));
+      result = Object.assign(createRepoResult(repoPath), { failedStep: 'clone', error: error.message });
+    }
+
+    // A review can ask for different versions, which means starting the repository over
+    let attempt = options;
+    while (!result) {
+      result = await processRepo({ ...attempt, repoDir: checkout && checkout.dir }, logger);
+      if (result.retryWith) {
+        try {
+          attempt = await retargetRepo(attempt, result.retryWith);
+          result = null;
+        } catch (error) {
+          logger.error(chalk.red(`Error: ${error.message}`));
+          result = Object.assign(createRepoResult(repoPath), { failedStep: 'review', error: error.message });
+        }
+      }
+    }
+    result.durationMs = Date.now() - startedAt;
+    emit(result.success ? 'repo:done' : 'repo:failed', result);
+    return result;
+  } finally {
+    if (checkout) {
+      await checkout.remove();
+    }
+    logger.flush();
+  }
+}
+
+/**
+ * Swap in the versions a review asked for, resolved against the registry like the originals
+ * @param {Object} options - Options passed to updateRepo
+ * @param {Object} versions - New version ranges keyed by package
+ * @returns {Promise<Object>} Options to start the repository over with
+ * @throws {Error} If a package isn't part of the update, or its version can't be resolved
+ */
+async function retargetRepo(options, versions) {
+  const { resolveTarget = createVersionResolver() } = options;
+  const packages = options.packages.slice();
+  const ranges = options.versions.slice();
+  const resolvedVersions = (options.resolvedVersions || []).slice();
+
+  for (const [pkg, range] of Object.entries(versions)) {
+    const index = packages.indexOf(pkg);
+    if (index === -1) {
+      throw new Error(`${pkg} is not one of the packages being updated in ${options.repoPath}`);
+    }
+    const versionError = validateVersion(range);
+    if (versionError) {
+      throw new Error(versionError);
+    }
+    const { version, spec } = await resolveTarget(pkg, range);
+    ranges[index] = spec;
+    resolvedVersions[index] = version;
+  }
+
+  return { ...options, versions: ranges, resolvedVersions, resumeFrom: null };
+}
+
+/**
+ * A package version change, planned or made
+ * @typedef {Object} PackageUpdate
+ * @property {string} pkg - Package name
+ * @property {string} section - package.json section, e.g. "devDependencies" or "overrides"
+ * @property {string[]} [keyPath] - Path to the override in package.json, for transitive updates
+ * @property {string|null} from - Version range before, or null if the entry was added
+ * @property {string} to - Version range written
+ * @property {string|null} resolved - Registry version the range resolves to
+ * @property {string} manifest - package.json the change is in, relative to the repository
+ */
+
+/**
+ * What happened in one repository
+ * @typedef {Object} RepoResult
+ * @property {string} repo - Repository entry, as given
+ * @property {boolean} success - Whether the repository was updated (or planned, or already up to date)
+ * @property {string} status - "updated", "unchanged", "planned", "skipped" (in review) or "failed"
+ * @property {PackageUpdate[]} updated - Changes made, or planned in a dry run
+ * @property {Array<{pkg: string, reason: string, manifest: (string|undefined)}>} skipped - Packages left alone, and why
+ * @property {string|null} failedStep - Step the repository failed at, e.g. "install"
+ * @property {string|null} error - Why it failed
+ * @property {string|null} provider - Code host provider id
+ * @property {string|null} baseBranch - Branch the update started from
+ * @property {string|null} branch - Branch the update was pushed to
+ * @property {string|null} commit - Update commit
+ * @property {string|null} prUrl - Pull request URL
+ * @property {string|null} prAction - "created" or "updated"
+ * @property {boolean} draft - Whether the pull request is a draft
+ * @property {number} durationMs - Time spent on the repository
+ */
+
+/**
+ * What happened in a whole run
+ * @typedef {Object} RunResult
+ * @property {boolean} success - true only if every repository succeeded
+ * @property {boolean} dryRun - Whether nothing was changed
+ * @property {string} startedAt - ISO timestamp
+ * @property {number} durationMs - Time the run took
+ * @property {Array<{name: string, version: string}>} packages - Packages and version ranges asked for
+ * @property {RepoResult[]} results - One per repository
+ * @property {string|null} error - Why the run couldn't start, if it couldn't
+ */
+
+/**
+ * Create the result object updateRepo fills in for one repository
+ * @param {string} repoPath - Repository path
+ * @returns {RepoResult} Failed result with nothing done yet
+ */
+function createRepoResult(repoPath) {
+  return {
+    repo: repoPath,
+    success: false,
+    status: 'failed',
+    updated: [],
+    skipped: [],
+    failedStep: null,
+    error: null,
+    provider: null,
+    baseBranch: null,
+    branch: null,
+    commit: null,
+    prUrl: null,
+    prAction: null,
+    draft: false,
+    durationMs: 0
+  };
+}
+
+/**
+ * Do the work for updateRepo, running every command inside the repository
+ * @param {Object} options - Options passed to updateRepo, plus repoDir when working in a throwaway checkout
+ * @param {Object} logger - Logger from createRepoLogger
+ * @returns {Promise<RepoResult>} Repository result
+ */
+async function processRepo(options, logger) {
+  const {
+    repoPath,
+    packages,
+    versions,
+    branchName,
+    prTitle,
+    prBody,
+    resolvedVersions = [],
+    skipped = [],
+    prTitleTemplate = DEFAULT_PR_TITLE,
+    prBodyTemplate = DEFAULT_PR_BODY,
+    verifyScripts = [],
+    onVerifyFail = 'abort',
+    onDirty = 'abort',
+    dryRun,
+    retries,
+    retryDelay,
+    resumeFrom,
+    onProgress = () => {},
+    resolveProvider = createProviderResolver({ cwd: options.cwd }),
+    providerId,
+    labels = [],
+    reviewers = [],
+    assignees = [],
+    milestone,
+    draft = false,
+    usePrTemplate = true,
+    transitive = false,
+    installStrategy = 'force',
+    cwd = process.cwd(),
+    emit = () => {},
+    hooks = {}
+  } = options;
+  // A throwaway checkout starts from origin and is deleted afterwards, so there's nothing to restore
+  const isolated = Boolean(options.repoDir);
+  const repoDir = options.repoDir || path.resolve(cwd, repoPath);
+  const retry = { retries, retryDelay };
+  const prMetadata = { labels, reviewers, assignees, milestone, draft };
+  const result = createRepoResult(repoPath);
+
+  // Log an error and record which step of the run it happened in
+  const fail = (step, message) => {
+    logger.error(chalk.red(`Error: ${message}`));
+    return Object.assign(result, { success: false, status: 'failed', failedStep: step, error: message });
+  };
+
+  // Record a successful outcome
+  const succeed = (status) => Object.assign(result, { success: true, status });
+
+  // Work out where pull requests are opened, from the origin remote unless told otherwise
+  let provider;
+  try {
+    provider = await resolveProvider(repoDir, providerId);
+  } catch (error) {
+    return fail('provider', error.message);
+  }
+  result.provider = provider.id;
+  logger.log(chalk.blue(`Code host: ${provider.name}`));
+
+  // Work out which branch to start from and open the PR against
+  let { baseBranch } = options;
+  if (!baseBranch) {
+    const detected = await detectDefaultBranch(repoDir, provider);
+    if (!detected) {
+      return fail('base-branch', `Could not detect the default branch of ${repoPath}. Use --base or a per-repo "base" override.`);
+    }
+    baseBranch = detected.branch;
+    logger.log(chalk.blue(`Base branch: ${baseBranch} (detected from ${detected.source})`));
+  } else {
+    logger.log(chalk.blue(`Base branch: ${baseBranch}`));
+  }
+  result.baseBranch = baseBranch;
 
-  console.log(chalk.cyan('\n-------------------------------------'));
-  console.log(chalk.cyan(`Processing repository: ${repoPath}`));
+  // Never throw away someone's in-progress work without being told to
+  const uncommittedChanges = await getUncommittedChanges(repoDir);
+  if (uncommittedChanges === null) {
+    return fail('working-tree', `${repoPath} is not a git repository`);
+  }
+
+  if (uncommittedChanges.length) {
+    const verb = dryRun ? 'would' : 'will';
+    const message = {
+      abort: dryRun ?
+        `${repoPath} has ${uncommittedChanges.length} uncommitted change(s), so a real run would abort here. Commit or stash them, or use --on-dirty stash|reset.` :
+        `${repoPath} has ${uncommittedChanges.length} uncommitted change(s). Commit or stash them, or use --on-dirty stash|reset.`,
+      stash: `${repoPath} has ${uncommittedChanges.length} uncommitted change(s), which ${verb} be stashed and restored afterwards.`,
+      reset: `${repoPath} has ${uncommittedChanges.length} uncommitted change(s), which ${verb} be discarded.`
+    }[onDirty];
+
+    // A dry run still shows the plan, so every repository's can be seen in one go
+    if (onDirty === 'abort' && !dryRun) {
+      return fail('working-tree', message);
+    }
+    logger.log(chalk.yellow(message));
+  }
+
+  // Nothing will be pushed in a dry run, so there's no need to be logged in
+  if (!dryRun && !(await provider.checkAuth())) {
+    return fail('auth', `You are not logged in to ${provider.name}. ${provider.loginHint}`);
+  }
+
+  if (dryRun) {
+    if (!fs.existsSync(path.join(repoDir, 'package.json'))) {
+      return fail('analyze', `No package.json found in ${repoPath}`);
+    }
+
+    try {
+      const packageManager = detectPackageManager(repoDir);
+      logger.log(chalk.blue(`Package manager: ${packageManager.name} (${packageManager.lockfile})`));
+      const plan = analyzeRepo(packages, versions, repoDir, resolvedVersions, { transitive, logger });
+      plan.skipped.unshift(...skipped);
+      printPlan(repoPath, plan, logger);
+      for (const update of plan.updates) {
+        emit('package:planned', { repo: repoPath, ...update });
+      }
+      for (const skip of plan.skipped) {
+        emit('package:skipped', { repo: repoPath, ...skip });
+      }
+      result.updated = plan.updates;
+      result.skipped = plan.skipped;
+
+      if (plan.updates.length && !provider.opensPullRequests) {
+        logger.log(chalk.blue(`  Would push branch ${branchName} without opening a PR`));
+      } else if (plan.updates.length) {
+        const existingPr = await provider.findPullRequest(repoDir, branchName);
+        logger.log(chalk.blue(existingPr ?
+          `  Would update branch ${branchName} and its open PR ${existingPr.url}` :
+          `  Would push branch ${branchName} and open a PR`));
+      }
+
+      if (verifyScripts.length && plan.updates.length) {
+        const { present, missing } = findVerifyScripts(verifyScripts, path.join(repoDir, 'package.json'));
+        if (present.length) {
+          logger.log(chalk.blue(`  Would verify with: ${present.map((script) => [...packageManager.run, script].join(' ')).join(', ')}`));
+        }
+        for (const script of missing) {
+          logger.log(chalk.yellow(`  No "${script}" script, would not run it`));
+        }
+      }
+      return succeed('planned');
+    } catch (error) {
+      return fail('analyze', `Could not analyze repository ${repoPath}: ${error.message}`);
+    }
+  }
+
+  // Remember where the checkout was, so it can be put back afterwards (or by a rollback, if the run is interrupted)
+  const originalRef = await getCurrentRef(repoDir);
+  if (!isolated) {
+    onProgress({ originalRef });
+  }
+  // Untracked files already there are someone's own. Any others were created by this run
+  const untrackedAtStart = await listUntracked(repoDir);
+  let stashed = false;
+  let step = 'working-tree';
+
+  // Track the step being worked on, for the result and anyone following progress
+  const enterStep = (next) => {
+    step = next;
+    onProgress({ step });
+  };
+
+  // The checkout is only this run's to reset and restore once the changes in it are
+  // safe: stashed, discarded on request, or there weren't any
+  if (uncommittedChanges.length && onDirty === 'stash') {
+    logger.log(chalk.blue('Stashing uncommitted changes...'));
+    const stashResult = await executeCommand(['git', 'stash', 'push', '-m', `batch-upgrade-npm-${branchName}`], repoDir, logger);
+    if (!stashResult.success) {
+      return fail(step, `Could not stash uncommitted changes in ${repoPath}. Nothing was changed.`);
+    }
+    stashed = true;
+  } else if (uncommittedChanges.length && onDirty === 'reset') {
+    logger.log(chalk.yellow('Discarding uncommitted changes...'));
+    await executeCommand(['git', 'reset', '--hard', 'HEAD'], repoDir, logger);
+  }
 
   try {
-    // Navigate to the repository
-    process.chdir(path.resolve(repoPath));
 
-    // Discard any uncommitted changes
-    await executeCommand('git reset --hard HEAD');
+    // Pick up where an earlier run stopped if its commit is still there
+    if (resumeFrom) {
+      const branchSha = await readCommand('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branchName}`], repoDir);
 
-    // Switch to main branch
-    console.log(chalk.blue('Switching to main branch...'));
-    const mainResult = await executeCommand('git checkout main');
-    if (!mainResult.success) {
-      console.error(chalk.red(`Error: Could not switch to main branch in ${repoPath}`));
-      process.chdir(originalDir);
-      return false;
+      if (branchSha === resumeFrom.commit) {
+        logger.log(chalk.blue(`Resuming with commit ${branchSha.slice(0, 7)} already on ${branchName}...`));
+        enterStep('checkout');
+        const resumeResult = await executeCommand(['git', 'checkout', branchName], repoDir, logger);
+        if (!resumeResult.success) {
+          return fail(step, `Could not switch to ${branchName} in ${repoPath}`);
+        }
+        Object.assign(result, {
+          branch: branchName,
+          commit: branchSha,
+          updated: resumeFrom.updated || [],
+          skipped: resumeFrom.skipped || []
+        });
+
+        const remoteBranchSha = await getRemoteBranchSha(repoDir, branchName);
+        if (remoteBranchSha === null) {
+          return fail(step, `Could not reach origin for ${repoPath}`);
+        }
+
+        const publishError = await publishBranch({
+          repoPath,
+          repoDir,
+          provider,
+          branchName,
+          baseBranch,
+          remoteBranchSha,
+          title: resumeFrom.prTitle,
+          body: resumeFrom.prBody,
+          verificationFailed: Boolean(resumeFrom.verificationFailed),
+          prMetadata,
+          retry,
+          enterStep,
+          emit
+        }, result, logger);
+        if (publishError) {
+          return fail(step, publishError);
+        }
+
+        succeed('updated');
+        logger.log(chalk.green(`Completed processing ${repoPath}`));
+        return result;
+      }
+
+      logger.log(chalk.yellow(`The commit from the previous run is no longer on ${branchName}. Starting over...`));
     }
 
-    // Pull latest changes
-    console.log(chalk.blue('Pulling latest changes from origin/main...'));
-    const pullResult = await executeCommand('git pull origin main');
-    if (!pullResult.success) {
-      console.error(chalk.red(`Error: Could not pull latest changes in ${repoPath}`));
-      process.chdir(originalDir);
-      return false;
+    if (isolated) {
+      // Start from origin's base branch without checking it out, since a worktree
+      // can't check out a branch the main checkout is on
+      enterStep('pull');
+      logger.log(chalk.blue(`Fetching ${baseBranch} from origin...`));
+      const fetchResult = await executeWithRetry(['git', 'fetch', 'origin', baseBranch], repoDir, logger, retry);
+      if (!fetchResult.success) {
+        return fail(step, `Could not fetch ${baseBranch} in ${repoPath}`);
+      }
+
+      enterStep('checkout');
+      const detachResult = await executeCommand(['git', 'checkout', '--detach', 'FETCH_HEAD'], repoDir, logger);
+      if (!detachResult.success) {
+        return fail(step, `Could not switch to ${baseBranch} branch in ${repoPath}`);
+      }
+    } else {
+      // Switch to the base branch
+      enterStep('checkout');
+      logger.log(chalk.blue(`Switching to ${baseBranch} branch...`));
+      const baseResult = await executeCommand(['git', 'checkout', baseBranch], repoDir, logger);
+      if (!baseResult.success) {
+        return fail(step, `Could not switch to ${baseBranch} branch in ${repoPath}`);
+      }
+
+      // Pull latest changes
+      enterStep('pull');
+      logger.log(chalk.blue(`Pulling latest changes from origin/${baseBranch}...`));
+      const pullResult = await executeCommand(['git', 'pull', 'origin', baseBranch], repoDir, logger);
+      if (!pullResult.success) {
+        return fail(step, `Could not pull latest changes in ${repoPath}`);
+      }
     }
 
-    // Create and switch to a new branch
-    console.log(chalk.blue(`Creating and switching to new branch: ${branchName}...`));
-    const branchResult = await executeCommand(`git checkout -b ${branchName}`);
+    // (Re)create the campaign branch from the base branch. If an earlier run
+    // already pushed it, it's rebuilt from scratch and force-pushed below
+    enterStep('branch');
+    const remoteBranchSha = await getRemoteBranchSha(repoDir, branchName);
+    if (remoteBranchSha === null) {
+      return fail(step, `Could not reach origin for ${repoPath}`);
+    }
+    logger.log(chalk.blue(remoteBranchSha ?
+      `Branch ${branchName} already exists on origin. Recreating it from ${baseBranch}...` :
+      `Creating and switching to new branch: ${branchName}...`));
+    const branchResult = await executeCommand(['git', 'checkout', '-B', branchName], repoDir, logger);
     if (!branchResult.success) {
-      console.error(chalk.red(`Error: Could not create new branch in ${repoPath}`));
-      process.chdir(originalDir);
-      return false;
+      return fail(step, `Could not create new branch in ${repoPath}`);
     }
+    result.branch = branchName;
 
     // Update each package
-    console.log(chalk.blue('Checking packages:'));
+    enterStep('analyze');
+    logger.log(chalk.blue('Checking packages:'));
     let updateSuccess = false;
     const updatedPackages = [];
     const updatedVersions = [];
+    const appliedUpdates = [];
+    const changedManifests = [];
+    let isMonorepo = false;
 
     // If package.json exists, update it directly
-    if (fs.existsSync('package.json')) {
+    const packageJsonPath = path.join(repoDir, 'package.json');
+    const backupPath = `${packageJsonPath}.bak`;
+    if (fs.existsSync(packageJsonPath)) {
       // Create a backup of package.json
-      fs.copyFileSync('package.json', 'package.json.bak');
+      fs.copyFileSync(packageJsonPath, backupPath);
+
+      // Update each package version directly in package.json and any workspace manifests
+      logger.log(chalk.blue('Analyzing package versions in package.json...'));
+      const plan = analyzeRepo(packages, versions, repoDir, resolvedVersions, { transitive, logger });
+      plan.skipped.unshift(...skipped);
+      isMonorepo = plan.manifests.length > 1;
+      result.skipped = plan.skipped;
+      result.updated = appliedUpdates;
+
+      // Keep the manifests as they were, to check the edits against
+      const originalManifests = {};
+      for (const { manifest } of plan.updates) {
+        originalManifests[manifest] = fs.readFileSync(path.join(repoDir, manifest), 'utf8');
+      }
 
-      // Update each package version directly in package.json
-      console.log(chalk.blue('Analyzing package versions in package.json...'));
+      if (isMonorepo) {
+        logger.log(chalk.blue(`Found ${plan.manifests.length - 1} workspace package(s)`));
+      }
 
-      for (let i = 0; i < packages.length; i++) {
-        const pkg = packages[i];
-        const ver = versions[i];
+      for (const skip of plan.skipped) {
+        const { pkg, reason, manifest } = skip;
+        const where = manifest && manifest !== 'package.json' ? ` in ${manifest}` : '';
+        logger.log(chalk.yellow(`  - Skipping ${pkg}${where}: ${reason}`));
+        emit('package:skipped', { repo: repoPath, ...skip });
+      }
 
-        // Skip packages that don't exist in package.json
-        if (!packageExists(pkg)) {
-          console.log(chalk.yellow(`  - Skipping ${pkg}: Not found in package.json`));
+      for (const update of plan.updates) {
+        const { pkg, section, keyPath, from, to, resolved, manifest } = update;
+        logger.log(chalk.green(from === null ?
+          `  - Adding ${pkg} ${describeTarget(to, resolved)} to ${describeLocation(section, manifest)}` :
+          `  - Updating ${pkg} from ${from} to ${describeTarget(to, resolved)} in ${describeLocation(section, manifest)}`));
+
+        // Update the package version, or the override forcing it
+        const updated = keyPath ?
+          setOverride(keyPath, to, path.join(repoDir, manifest), logger) :
+          updatePackageJson(pkg, section, to, path.join(repoDir, manifest), logger);
+        if (!updated) {
+          logger.log(chalk.yellow(`  - Warning: Could not update ${pkg} in ${manifest}`));
           continue;
         }
 
-        // Check current version in different dependency sections
-        const currentVersionInfo = getCurrentVersion(pkg);
+        updateSuccess = true;
+        appliedUpdates.push(update);
+        emit('package:updated', { repo: repoPath, ...update });
 
-        if (!currentVersionInfo) {
-          console.log(chalk.yellow(`  - Warning: Could not determine current version of ${pkg}`));
-          continue;
+        if (!changedManifests.includes(manifest)) {
+          changedManifests.push(manifest);
         }
 
-        const { section, version: currentVersion } = currentVersionInfo;
-
-        // Compare versions and skip if current is >= target
-        if (versionIsHigherOrEqual(currentVersion, ver)) {
-          console.log(chalk.yellow(`  - Skipping ${pkg}: Current version ${currentVersion} is already >= ${ver}`));
-          continue;
+        // Add to our list of packages that will be updated, with the version asked for
+        // (an npm override may only refer to it, as "$pkg")
+        if (!updatedPackages.includes(pkg)) {
+          updatedPackages.push(pkg);
+          updatedVersions.push(versions[packages.indexOf(pkg)]);
         }
+      }
 
-        console.log(chalk.green(`  - Updating ${pkg} from ${currentVersion} to ${ver} in ${section} section`));
-
-        // Add to our list of packages that will be updated
-        updatedPackages.push(pkg);
-        updatedVersions.push(ver);
-
-        // Update the package version
-        const updated = updatePackageJson(pkg, section, ver);
-        if (updated) {
-          updateSuccess = true;
-        } else {
-          console.log(chalk.yellow(`  - Warning: Could not update ${pkg} in package.json`));
+      // Make sure the edits changed the intended lines and nothing else
+      for (const manifest of changedManifests) {
+        const edits = appliedUpdates
+          .filter((update) => update.manifest === manifest)
+          .map(({ pkg, section, keyPath, to }) => ({ keyPath: keyPath || [section, pkg], value: to }));
+        const problems = checkManifestEdits(originalManifests[manifest], fs.readFileSync(path.join(repoDir, manifest), 'utf8'), edits);
+
+        if (problems.length) {
+          for (const changed of changedManifests) {
+            fs.writeFileSync(path.join(repoDir, changed), originalManifests[changed]);
+          }
+          fs.unlinkSync(backupPath);
+          return fail(step, `Editing ${manifest} in ${repoPath} changed more than intended: ${problems.join('; ')}`);
         }
       }
 
       // If no updates were made, restore the backup
       if (!updateSuccess) {
-        fs.copyFileSync('package.json.bak', 'package.json');
-        console.log(chalk.yellow('No packages were updated in package.json'));
+        fs.copyFileSync(backupPath, packageJsonPath);
+        logger.log(chalk.yellow('No packages were updated in package.json'));
       }
 
       // Remove backup
-      fs.unlinkSync('package.json.bak');
+      fs.unlinkSync(backupPath);
+    }
+
+    // Work out which package manager (and lockfile) this repository uses
+    const packageManager = detectPackageManager(repoDir);
+    const { lockfile } = packageManager;
+    logger.log(chalk.blue(`Using ${packageManager.name} (${lockfile})`));
+
+    // Note what the lockfile resolves to before the install changes it, for the release notes
+    const lockedBefore = readLockedVersions(repoDir, lockfile, updatedPackages);
+
+    // Refresh the lockfile the way the install strategy asks for
+    let strategy = installStrategy;
+    if (strategy === 'lockfile-only' && !packageManager.lockfileInstall) {
+      logger.log(chalk.yellow(`${packageManager.name} can't update only the lockfile. Installing strictly instead...`));
+      strategy = 'strict';
+    }
+
+    // Turn a failed or conflicting install into a failure that says why
+    const installFailure = (installResult, what) => {
+      const conflicts = findPeerConflicts(packageManager, installResult.output);
+      if (conflicts.length) {
+        return fail(step, `Peer dependency conflict in ${repoPath}: ${conflicts.slice(0, 5).join(' | ')}`);
+      }
+      return fail(step, `${what} failed in ${repoPath}`);
+    };
+
+    // Retry installs only when the network or registry failed, not on conflicts that would fail again
+    const installRetry = {
+      ...retry,
+      shouldRetry: (result) => isTransientInstallFailure(packageManager, result.output)
+    };
+
+    // Send an install command's output to anyone listening, as well as to the log
+    const installLogger = (command) => ({
+      ...logger,
+      stdout: (text) => {
+        logger.stdout(text);
+        emit('install:output', { repo: repoPath, command: command.join(' '), stream: 'stdout', text });
+      },
+      stderr: (text) => {
+        logger.stderr(text);
+        emit('install:output', { repo: repoPath, command: command.join(' '), stream: 'stderr', text });
+      }
+    });
+
+    const nodeModulesPath = path.join(repoDir, 'node_modules');
+    if (updateSuccess && strategy !== 'force') {
+      enterStep('install');
+      // Name the updated packages, so the rest of the lockfile stays as it is. Overrides are
+      // only applied by a full resolution (pnpm's update ignores them), so they get the plain command
+      const targeted = strategy === 'lockfile-only' && packageManager.lockfileUpdate && appliedUpdates.every(({ keyPath }) => !keyPath);
+      const command = strategy === 'strict' ? packageManager.strictInstall :
+        (targeted ? [...packageManager.lockfileUpdate, ...updatedPackages] : packageManager.lockfileInstall);
+      logger.log(chalk.blue(`Updating ${lockfile} with ${command.join(' ')}...`));
+      const installResult = await executeWithRetry(command, repoDir, installLogger(command), installRetry);
+
+      // Some package managers only warn about peer conflicts, which strict mode doesn't accept
+      const conflicts = findPeerConflicts(packageManager, installResult.output);
+      if (!installResult.success || (strategy === 'strict' && conflicts.length)) {
+        return installFailure(installResult, strategy === 'strict' ? 'Installation' : 'Lockfile update');
+      }
+      for (const conflict of conflicts) {
+        logger.log(chalk.yellow(`  - Warning: Peer dependency conflict: ${conflict}`));
+      }
+
+      // Verification scripts need the packages installed
+      if (strategy === 'lockfile-only' && verifyScripts.length) {
+        logger.log(chalk.blue(`Installing with ${packageManager.install.join(' ')} to run the verification scripts...`));
+        const verifyInstallResult = await executeWithRetry(packageManager.install, repoDir, installLogger(packageManager.install), installRetry);
+        if (!verifyInstallResult.success) {
+          return installFailure(verifyInstallResult, 'Installation from the updated lockfile');
+        }
+      }
+
+      logger.log(chalk.green(`${lockfile} updated successfully.`));
     }
 
     // Verify installation with --force followed by regular install
-    if (updateSuccess) {
-      console.log(chalk.blue('Removing node_modules directory for clean installation...'));
+    if (updateSuccess && strategy === 'force') {
+      enterStep('install');
+      logger.log(chalk.blue('Removing node_modules directory for clean installation...'));
       try {
-        if (fs.existsSync('node_modules')) {
-          fs.rmSync('node_modules', { recursive: true, force: true });
+        if (fs.existsSync(nodeModulesPath)) {
+          fs.rmSync(nodeModulesPath, { recursive: true, force: true });
         }
       } catch (err) {
-        console.error(chalk.red(`Error removing node_modules: ${err.message}`));
+        logger.error(chalk.red(`Error removing node_modules: ${err.message}`));
       }
 
-      // First run with --force to update package-lock.json and dependencies
-      console.log(chalk.blue('Updating package-lock.json and verifying installation with npm install --force...'));
-      const forceInstallResult = await executeCommand('npm install --force');
+      // First run with --force to update the lockfile and dependencies
+      logger.log(chalk.blue(`Updating ${lockfile} and verifying installation with ${packageManager.forceInstall.join(' ')}...`));
+      const forceInstallResult = await executeWithRetry(packageManager.forceInstall, repoDir, installLogger(packageManager.forceInstall), installRetry);
       if (!forceInstallResult.success) {
-        console.error(chalk.red(`Error: Force installation failed in ${repoPath}`));
-        process.chdir(originalDir);
-        return false;
+        return installFailure(forceInstallResult, 'Force installation');
       }
 
-      console.log(chalk.blue('Removing node_modules directory again before verification...'));
+      logger.log(chalk.blue('Removing node_modules directory again before verification...'));
       try {
-        if (fs.existsSync('node_modules')) {
-          fs.rmSync('node_modules', { recursive: true, force: true });
+        if (fs.existsSync(nodeModulesPath)) {
+          fs.rmSync(nodeModulesPath, { recursive: true, force: true });
         }
       } catch (err) {
-        console.error(chalk.red(`Error removing node_modules: ${err.message}`));
+        logger.error(chalk.red(`Error removing node_modules: ${err.message}`));
       }
 
       // Second run without --force for final verification
-      console.log(chalk.blue('Verifying package installation with regular npm install...'));
-      const regularInstallResult = await executeCommand('npm install');
+      logger.log(chalk.blue(`Verifying package installation with ${packageManager.install.join(' ')}...`));
+      const regularInstallResult = await executeWithRetry(packageManager.install, repoDir, installLogger(packageManager.install), installRetry);
       if (!regularInstallResult.success) {
-        console.error(chalk.red(`Error: Regular installation failed after forced install in ${repoPath}`));
-        process.chdir(originalDir);
-        return false;
+        return installFailure(regularInstallResult, 'Regular installation after forced install');
+      }
+
+      logger.log(chalk.green('Package installation verified successfully.'));
+    }
+
+    // Files changed or added in the checkout, to tell which ones hooks (or a reviewer) touched
+    const listChanged = async () => ((await readCommand('git', ['ls-files', '--modified', '--deleted', '--others', '--exclude-standard'], repoDir)) || '')
+      .split('\n')
+      .filter(Boolean);
+
+    // Let the caller adapt the code to the new versions (codemods and the like),
+    // before verification so the scripts check the result
+    let extraFiles = [];
+    if (updateSuccess && hooks.beforeCommit) {
+      enterStep('before-commit');
+      logger.log(chalk.blue('Running the beforeCommit hook...'));
+      const changedBefore = await listChanged();
+      try {
+        await hooks.beforeCommit({
+          repo: repoPath,
+          dir: repoDir,
+          branch: branchName,
+          packageManager: packageManager.id,
+          updates: appliedUpdates.slice()
+        });
+      } catch (error) {
+        return fail(step, `The beforeCommit hook failed in ${repoPath}: ${error.message}`);
       }
 
-      console.log(chalk.green('Package installation verified successfully.'));
+      // Whatever the hook changed is committed along with the manifests and lockfile
+      extraFiles = [...new Set(await listChanged())].filter((file) => !changedBefore.includes(file));
+      if (extraFiles.length) {
+        logger.log(chalk.blue(`The beforeCommit hook changed ${extraFiles.length} file(s)`));
+      }
     }
 
+    // Run the repository's own scripts (build, test, lint...) against the new versions
+    let verificationFailure = '';
+    if (updateSuccess && verifyScripts.length) {
+      enterStep('verify');
+      const { present, missing } = findVerifyScripts(verifyScripts, packageJsonPath);
+
+      for (const script of missing) {
+        logger.log(chalk.yellow(`No "${script}" script in package.json, skipping it`));
+      }
+
+      for (const script of present) {
+        const command = [...packageManager.run, script];
+        logger.log(chalk.blue(`Verifying with ${command.join(' ')}...`));
+        const verifyResult = await executeCommand(command, repoDir, logger);
+
+        if (!verifyResult.success) {
+          verificationFailure = formatVerificationFailure(command.join(' '), verifyResult.output);
+          break;
+        }
+      }
+
+      if (verificationFailure && onVerifyFail !== 'draft') {
+        return fail(step, `Verification failed in ${repoPath}. Not opening a pull request.`);
+      }
+
+      if (verificationFailure) {
+        logger.log(chalk.yellow('Verification failed. The pull request will be opened as a draft.'));
+      } else if (present.length) {
+        logger.log(chalk.green('Verification scripts passed.'));
+      }
+    }
+
+    // Drop the update branch and everything on it, leaving the checkout on the base branch
+    const discardBranch = async () => {
+      await executeCommand(['git', 'reset', '--hard', 'HEAD'], repoDir, logger);
+      await removeCreatedFiles(repoDir, untrackedAtStart, logger);
+      await executeCommand(isolated ? ['git', 'checkout', '--detach'] : ['git', 'checkout', baseBranch], repoDir, logger);
+      await executeCommand(['git', 'branch', '-D', branchName], repoDir, logger);
+      result.branch = null;
+    };
+
     // Check if there are changes to commit
-    const diffResult = await executeCommand('git diff --quiet package.json package-lock.json || echo "changes"');
+    const manifestFiles = ['package.json', ...changedManifests.filter((manifest) => manifest !== 'package.json')];
+    const diffResult = await executeCommand(['git', 'diff', '--quiet', '--', ...manifestFiles, lockfile], repoDir, logger);
+
+    if (!diffResult.success || extraFiles.length) {
+      // Let someone look the changes over before anything is committed
+      if (hooks.review) {
+        enterStep('review');
+        const changedBeforeReview = await listChanged();
+        let decision;
+        try {
+          do {
+            const lockfilePath = path.join(repoDir, lockfile);
+            decision = (await hooks.review({
+              repo: repoPath,
+              dir: repoDir,
+              packageManager: packageManager.id,
+              updates: appliedUpdates.slice(),
+              skipped: result.skipped.slice(),
+              diff: (await readCommand('git', ['diff', '--', ...manifestFiles], repoDir)) || '',
+              lockfile,
+              lockfileChanges: compareLockfiles(
+                await readCommand('git', ['show', `HEAD:${lockfile}`], repoDir),
+                fs.existsSync(lockfilePath) ? fs.readFileSync(lockfilePath, 'utf8') : null,
+                lockfile
+              ),
+              verificationFailed: Boolean(verificationFailure)
+            })) || { action: 'accept' };
+          } while (decision.action === 'refresh');
+        } catch (error) {
+          return fail(step, `The review hook failed in ${repoPath}: ${error.message}`);
+        }
+
+        if (!REVIEW_ACTIONS.includes(decision.action)) {
+          return fail(step, `Unknown review decision "${decision.action}" for ${repoPath}`);
+        }
 
-    if (diffResult.output.includes('changes')) {
-      console.log(chalk.blue('Changes detected. Committing and pushing...'));
+        if (decision.action === 'skip') {
+          logger.log(chalk.yellow(`Skipped ${repoPath} in review. Nothing was committed or pushed.`));
+          await discardBranch();
+          return succeed('skipped');
+        }
+
+        if (decision.action === 'edit') {
+          const edited = Object.entries(decision.versions || {});
+          if (!edited.length) {
+            return fail(step, `The review of ${repoPath} asked to edit the versions without giving any`);
+          }
+          logger.log(chalk.yellow(`Starting ${repoPath} over with ${edited.map(([pkg, version]) => `${pkg}@${version}`).join(', ')}...`));
+          await discardBranch();
+          result.retryWith = decision.versions;
+          return result;
+        }
+
+        // Anything changed by hand during the review goes in the commit too
+        const changedInReview = (await listChanged()).filter((file) => !changedBeforeReview.includes(file));
+        extraFiles = [...new Set([...extraFiles, ...changedInReview])];
+      }
+
+      logger.log(chalk.blue('Changes detected. Committing and pushing...'));
 
       // Update PR title and body to only include packages that were actually updated
       let updatedPackageList = '';
-      let updatedPrBody = 'This PR updates the following npm packages:\n\n';
+      let updatedChanges = '';
 
       for (let i = 0; i < updatedPackages.length; i++) {
         if (i > 0) {
           updatedPackageList += ', ';
         }
         updatedPackageList += `${updatedPackages[i]}@${updatedVersions[i]}`;
-        updatedPrBody += `- ${updatedPackages[i]} to ${updatedVersions[i]}\n`;
+        updatedChanges += `- ${updatedPackages[i]} to ${updatedVersions[i]}\n`;
+
+        // List every workspace and section the package was bumped in
+        const locations = appliedUpdates.filter(({ pkg }) => pkg === updatedPackages[i]);
+        if (isMonorepo || locations.length > 1) {
+          for (const { section, from, to, manifest } of locations) {
+            updatedChanges += `  - ${manifest} (${section}): ${from === null ? 'added' : from} → ${to}\n`;
+          }
+        }
       }
 
-      updatedPrBody += '\nAutomatically generated by batch-upgrade-npm-packages.';
-
       // Use the updated title if we have updated packages
       let finalPrTitle = prTitle;
       let finalPrBody = prBody;
 
       if (updatedPackageList) {
-        finalPrTitle = `Update npm packages: ${updatedPackageList}`;
-        finalPrBody = updatedPrBody;
+        const templateValues = {
+          packages: updatedPackageList,
+          changes: updatedChanges,
+          repo: repoName(repoPath),
+          package: updatedPackages.join(', '),
+          from: updatedPackages.map((pkg) => [
+            ...new Set(appliedUpdates.filter((update) => update.pkg === pkg && update.from !== null).map((update) => update.from))
+          ].join(' / ')).join(', '),
+          to: updatedVersions.join(', '),
+          releaseNotes: ''
+        };
+
+        // Locked versions, compare links and changelogs for reviewers
+        const lockedAfter = readLockedVersions(repoDir, lockfile, updatedPackages);
+        const releaseNotesDirs = [...new Set(['.', ...changedManifests.map(path.dirname)])].map((dir) => path.join(repoDir, dir));
+        try {
+          templateValues.releaseNotes = formatReleaseNotes(updatedPackages.map((pkg) => ({
+            pkg,
+            before: lockedBefore[pkg],
+            after: lockedAfter[pkg],
+            range: (appliedUpdates.find((update) => update.pkg === pkg && update.from !== null) || {}).from
+          })), releaseNotesDirs, { lockfileOnly: strategy === 'lockfile-only' && !verifyScripts.length });
+        } catch (error) {
+          logger.log(chalk.yellow(`  - Warning: Could not gather release notes (${error.message})`));
+        }
+        const repoTemplate = usePrTemplate ? readPullRequestTemplate(repoDir) : null;
+        if (repoTemplate) {
+          logger.log(chalk.blue('Using the repository\'s pull request template.'));
+        }
+        ({ title: finalPrTitle, body: finalPrBody } = renderPullRequest(
+          { title: prTitleTemplate, body: prBodyTemplate, repoTemplate },
+          templateValues
+        ));
       }
 
-      await executeCommand('git add package.json package-lock.json');
-      await executeCommand(`git commit -m "${finalPrTitle}"`);
+      finalPrBody += verificationFailure;
 
-      // Push the changes
-      console.log(chalk.blue('Pushing changes...'));
-      const pushResult = await executeCommand(`git push --set-upstream origin "${branchName}"`);
-      if (!pushResult.success) {
-        console.error(chalk.red(`Error: Could not push changes for ${repoPath}`));
-        process.chdir(originalDir);
-        return false;
+      // Only stage the lockfile this package manager owns, never a stray one.
+      // The message goes through a file so quotes in the title survive
+      enterStep('commit');
+      await executeCommand(['git', 'add', '--', ...manifestFiles, ...(fs.existsSync(path.join(repoDir, lockfile)) ? [lockfile] : [])], repoDir, logger);
+      if (extraFiles.length && (await readCommand('git', ['add', '--all', '--', ...extraFiles], repoDir)) === null) {
+        return fail(step, `Could not stage the other changed files in ${repoPath}`);
       }
+      const commitResult = await withTempFile(finalPrTitle, (messageFile) => executeCommand(['git', 'commit', '-F', messageFile], repoDir, logger));
+      if (!commitResult.success) {
+        return fail(step, `Could not commit changes in ${repoPath}`);
+      }
+
+      result.commit = await readCommand('git', ['rev-parse', 'HEAD'], repoDir);
+      onProgress({
+        step,
+        commit: result.commit,
+        prTitle: finalPrTitle,
+        prBody: finalPrBody,
+        verificationFailed: Boolean(verificationFailure)
+      });
 
-      // Create a PR
-      console.log(chalk.blue('Creating pull request...'));
-      const prResult = await executeCommand(`gh pr create --title "${finalPrTitle}" --body "${finalPrBody}" --base main`);
-      if (!prResult.success) {
-        console.error(chalk.red(`Error: Could not create PR for ${repoPath}`));
-        process.chdir(originalDir);
-        return false;
+      const publishError = await publishBranch({
+        repoPath,
+        repoDir,
+        provider,
+        branchName,
+        baseBranch,
+        remoteBranchSha,
+        title: finalPrTitle,
+        body: finalPrBody,
+        verificationFailed: Boolean(verificationFailure),
+        prMetadata,
+        retry,
+        enterStep,
+        emit
+      }, result, logger);
+      if (publishError) {
+        return fail(step, publishError);
       }
 
-      console.log(chalk.green(`Pull request created successfully for ${repoPath}`));
+      succeed('updated');
     } else {
-      console.log(chalk.yellow('No changes detected in package.json or package-lock.json. Skipping PR creation.'));
+      logger.log(chalk.yellow(`No changes detected in package.json or ${lockfile}. Skipping PR creation.`));
+      if (remoteBranchSha) {
+        logger.log(chalk.yellow(`  - ${branchName} still exists on origin from an earlier run. ${baseBranch} is already up to date, so it can be closed.`));
+      }
       // Clean up the branch since we didn't make any changes
-      await executeCommand('git checkout main');
-      await executeCommand(`git branch -D ${branchName}`);
+      await discardBranch();
+      succeed('unchanged');
     }
 
-    // Return to the original directory
-    process.chdir(originalDir);
-    console.log(chalk.green(`Completed processing ${repoPath}`));
-    return true;
+    logger.log(chalk.green(`Completed processing ${repoPath}`));
+    return result;
   } catch (error) {
-    console.error(chalk.red(`Error processing repository ${repoPath}: ${error.message}`));
-    process.chdir(originalDir);
-    return false;
+    return fail(step, `Unexpected error in ${repoPath}: ${error.message}`);
+  } finally {
+    if (!isolated) {
+      await restoreCheckout(repoPath, repoDir, { originalRef, stashed, untrackedAtStart }, logger);
+    }
+  }
+}
+
+/**
+ * Push the update branch and open its pull request, or update the one an earlier run opened
+ * @param {Object} options - Options object
+ * @param {string} options.repoPath - Repository path, for messages
+ * @param {string} options.repoDir - Directory of the checkout to push from
+ * @param {Object} options.provider - Code host provider (see ./providers)
+ * @param {string} options.branchName - Branch to push, checked out with the update commit on top
+ * @param {string} options.baseBranch - Branch to open the PR against
+ * @param {string} options.remoteBranchSha - Commit the branch had on origin before this run, or '' if it didn't exist
+ * @param {string} options.title - PR title
+ * @param {string} options.body - PR body
+ * @param {boolean} options.verificationFailed - Open the PR as a labelled draft
+ * @param {Object} options.prMetadata - labels, reviewers, assignees, milestone and draft to apply to the PR
+ * @param {Object} options.retry - Retry settings for the push (see executeWithRetry)
+ * @param {Function} options.enterStep - Called with each step as it starts
+ * @param {Function} options.emit - Called with (event, payload) once the PR is created or updated
+ * @param {Object} result - Repository result to record the PR in
+ * @param {Object} logger - Logger from createRepoLogger
+ * @returns {Promise<string|null>} Error message, or null if the PR is open
+ */
+async function publishBranch(options, result, logger) {
+  const {
+    repoPath,
+    repoDir,
+    provider,
+    branchName,
+    baseBranch,
+    remoteBranchSha,
+    title,
+    body,
+    verificationFailed,
+    prMetadata,
+    retry,
+    enterStep,
+    emit
+  } = options;
+  const { labels, reviewers, assignees, milestone, draft } = prMetadata;
+
+  // Push the changes. The lease makes sure nobody pushed to the branch since it was looked up
+  enterStep('push');
+  logger.log(chalk.blue(remoteBranchSha ? 'Force-pushing changes...' : 'Pushing changes...'));
+  const pushResult = await executeWithRetry(['git', 'push', `--force-with-lease=refs/heads/${branchName}:${remoteBranchSha}`, '--set-upstream', 'origin', branchName], repoDir, logger, retry);
+  if (!pushResult.success) {
+    return `Could not push changes for ${repoPath}`;
   }
+
+  enterStep('pr');
+  if (!provider.opensPullRequests) {
+    logger.log(chalk.green(`Pushed ${branchName}. Not opening a pull request (provider: ${provider.name}).`));
+    return null;
+  }
+
+  // Create a PR, or update the one an earlier run opened
+  const existingPr = await provider.findPullRequest(repoDir, branchName);
+  let pr = existingPr;
+  try {
+    if (existingPr) {
+      logger.log(chalk.blue(`Updating existing pull request ${existingPr.url}...`));
+      await provider.updatePullRequest(repoDir, existingPr, { title, body });
+    } else {
+      logger.log(chalk.blue(draft || verificationFailed ? 'Creating draft pull request...' : 'Creating pull request...'));
+      pr = await provider.createPullRequest(repoDir, { title, body, base: baseBranch, head: branchName, draft: draft || verificationFailed });
+    }
+  } catch (error) {
+    return existingPr ?
+      `Could not update PR ${existingPr.url} for ${repoPath}: ${error.message}` :
+      `Could not create PR for ${repoPath}: ${error.message}`;
+  }
+
+  result.prUrl = pr.url;
+  result.draft = pr.isDraft;
+  result.prAction = existingPr ? 'updated' : 'created';
+
+  if (verificationFailed) {
+    // An existing PR that was ready for review goes back to draft
+    if (existingPr && !existingPr.isDraft) {
+      result.draft = await provider.setDraft(repoDir, pr, true).then(() => true, () => false);
+    }
+
+    try {
+      await provider.addLabels(repoDir, pr, [VERIFY_FAILED_LABEL]);
+    } catch (error) {
+      logger.log(chalk.yellow(`  - Warning: Could not add the "${VERIFY_FAILED_LABEL}" label (${error.message}). Does it exist in the repository?`));
+    }
+  } else if (existingPr && existingPr.labels.includes(VERIFY_FAILED_LABEL)) {
+    // Verification passes now, so undo what a failed run did to the PR
+    await provider.removeLabels(repoDir, pr, [VERIFY_FAILED_LABEL]).catch(() => {});
+    if (!draft) {
+      logger.log(chalk.blue('Verification passes now. Marking the pull request as ready for review...'));
+      result.draft = await provider.setDraft(repoDir, pr, false).then(() => false, () => true);
+    }
+  }
+
+  // Labels, reviewers and so on are added on every run, so ones added by hand are kept.
+  // They are extras: a host that can't set one gets a warning, not a failed repository
+  const extras = [
+    [labels.length, 'labels', () => provider.addLabels(repoDir, pr, labels)],
+    [reviewers.length, 'reviewers', () => provider.requestReviewers(repoDir, pr, reviewers)],
+    [assignees.length, 'assignees', () => provider.addAssignees(repoDir, pr, assignees)],
+    [milestone, 'milestone', () => provider.setMilestone(repoDir, pr, milestone)]
+  ];
+  for (const [wanted, what, apply] of extras) {
+    if (!wanted) {
+      continue;
+    }
+    try {
+      await apply();
+    } catch (error) {
+      logger.log(chalk.yellow(`  - Warning: Could not set the ${what} (${error.message})`));
+    }
+  }
+
+  logger.log(chalk.green(`Pull request ${result.prAction} successfully for ${repoPath}`));
+  emit(`pr:${result.prAction}`, { repo: repoPath, url: result.prUrl, draft: result.draft });
+  return null;
+}
+
+/**
+ * Delete the untracked files and directories a run created (hook output, files
+ * added in a review shell, a new lockfile), leaving the ones that were there before alone
+ * @param {string} repoDir - Directory of the checkout
+ * @param {string[]} untrackedAtStart - Untracked files before the run, from listUntracked
+ * @param {Object} logger - Logger from createRepoLogger
+ */
+async function removeCreatedFiles(repoDir, untrackedAtStart, logger) {
+  const created = (await listUntracked(repoDir)).filter((file) => !untrackedAtStart.includes(file));
+  if (created.length) {
+    await executeCommand(['git', 'clean', '--force', '-d', '--', ...created], repoDir, logger);
+  }
+}
+
+/**
+ * Put a checkout back the way it was before updateRepo ran
+ *
+ * Anything left uncommitted at this point was written by this run (the user's
+ * own changes were stashed, discarded on request, or there weren't any).
+ * @param {string} repoPath - Repository path, for messages
+ * @param {string} repoDir - Directory of the checkout
+ * @param {Object} checkoutState - How the run found the checkout
+ * @param {string|null} checkoutState.originalRef - Branch or commit the checkout was on
+ * @param {boolean} checkoutState.stashed - Whether the user's changes were stashed and need popping
+ * @param {string[]} checkoutState.untrackedAtStart - Untracked files before the run, which are kept
+ * @param {Object} logger - Logger from createRepoLogger
+ */
+async function restoreCheckout(repoPath, repoDir, checkoutState, logger) {
+  const { originalRef, stashed, untrackedAtStart } = checkoutState;
+  await executeCommand(['git', 'reset', '--hard', 'HEAD'], repoDir, logger);
+  await removeCreatedFiles(repoDir, untrackedAtStart, logger);
+
+  if (originalRef) {
+    logger.log(chalk.blue(`Switching back to ${originalRef}...`));
+    const checkoutResult = await executeCommand(['git', 'checkout', originalRef], repoDir, logger);
+    if (!checkoutResult.success) {
+      logger.error(chalk.red(`Error: Could not switch ${repoPath} back to ${originalRef}`));
+      return;
+    }
+  }
+
+  if (stashed) {
+    logger.log(chalk.blue('Restoring stashed changes...'));
+    const popResult = await executeCommand(['git', 'stash', 'pop'], repoDir, logger);
+    if (!popResult.success) {
+      logger.error(chalk.red(`Error: Could not restore stashed changes in ${repoPath}. They are still in \`git stash list\`.`));
+    }
+  }
+}
+
+/**
+ * Run an async function over a list, with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results, in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 /**
@@ -379,94 +1790,387 @@ async function updateRepo(options) {
  * @param {string[]} options.packages - Packages to update
  * @param {string[]} options.versions - Version ranges
  * @param {string[]} options.repos - Repository paths
- * @returns {Promise<boolean>} true if update was successful, false otherwise
+ * @param {boolean} [options.dryRun] - Only report what would change, without touching git or npm
+ * @param {number} [options.concurrency] - Number of repositories to process at once
+ * @param {string} [options.branchPrefix] - Prefix for the update branch name
+ * @param {string} [options.branchName] - Update branch name, derived from the packages and versions if not set
+ * @param {string} [options.baseBranch] - Branch to start from and open PRs against, detected per repository if not set
+ * @param {string} [options.prTitleTemplate] - PR title template (see DEFAULT_PR_TITLE)
+ * @param {string} [options.prBodyTemplate] - PR body template (see DEFAULT_PR_BODY)
+ * @param {Object} [options.repoOverrides] - Per-repo overrides (skip, packages, base) keyed by absolute repository path
+ * @param {string} [options.registry] - Registry URL used to resolve versions and dist-tags
+ * @param {boolean} [options.saveExact] - Write the exact resolved version instead of the range
+ * @param {string} [options.savePrefix] - Write the resolved version with this prefix ("^", "~" or "")
+ * @param {string[]} [options.verifyScripts] - package.json scripts to run after install, e.g. ['build', 'test']
+ * @param {string} [options.onVerifyFail] - "abort" to skip the PR, or "draft" to open it as a labelled draft
+ * @param {string} [options.onDirty] - What to do with uncommitted changes: "abort" (default), "stash" or "reset"
+ * @param {number} [options.retries] - Number of times to retry a failed install or push (default: 2)
+ * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds, doubled for each further retry (default: 5000)
+ * @param {string} [options.stateFile] - File to record each repository's progress in, so the run can be resumed
+ * @param {Object} [options.previousState] - State of an earlier run (see loadState in ./state) that this run resumes
+ * @param {boolean} [options.useWorktree] - Work in a temporary git worktree of each local repository instead of its checkout
+ * @param {string} [options.cloneBase] - URL or directory `org/repo` slugs are cloned from (default: https://github.com/)
+ * @param {string} [options.provider] - Code host provider for every repository ("github", "gitlab", "bitbucket", "none"
+ *   or "file"), detected per repository from its origin remote if not set
+ * @param {string} [options.providerFile] - Pull request file for the "file" provider
+ * @param {string[]} [options.labels] - Labels to add to every PR
+ * @param {string[]} [options.reviewers] - Reviewers to request on every PR
+ * @param {string[]} [options.assignees] - Users to assign every PR to
+ * @param {string} [options.milestone] - Milestone to put every PR in
+ * @param {boolean} [options.draft] - Open PRs as drafts
+ * @param {boolean} [options.usePrTemplate] - Include each repository's own PR template in the body (default: true)
+ * @param {boolean} [options.transitive] - Also force transitive copies of the packages with each package manager's
+ *   overrides ("overrides", "resolutions" or "pnpm.overrides")
+ * @param {string} [options.installStrategy] - How to refresh lockfiles: "force" (default), "strict" or "lockfile-only"
+ * @param {string} [options.cwd] - Directory relative repository, state file and provider file paths are relative to
+ *   (default: the current directory)
+ * @param {{stdout: Function, stderr: Function}} [options.output] - Where to write the log (default: the console)
+ * @param {Function} [options.emit] - Called with (event, payload) as repositories are worked on (see createUpgrader)
+ * @param {Object} [options.hooks] - Lifecycle hooks (see createUpgrader)
+ * @returns {Promise<RunResult>} Run result
  */
 async function updatePackages(options) {
-  const { packages, versions, repos } = options;
-
-  // Check that gh CLI is logged in
-  if (!checkGhLogin()) {
-    return false;
-  }
+  const {
+    packages,
+    versions,
+    repos,
+    dryRun = false,
+    concurrency = 1,
+    branchPrefix = 'update-packages',
+    branchName = campaignBranchName(packages, versions, branchPrefix),
+    baseBranch,
+    prTitleTemplate = DEFAULT_PR_TITLE,
+    prBodyTemplate = DEFAULT_PR_BODY,
+    repoOverrides = {},
+    registry,
+    saveExact = false,
+    savePrefix,
+    verifyScripts = [],
+    onVerifyFail = 'abort',
+    onDirty = 'abort',
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    stateFile,
+    previousState,
+    useWorktree = false,
+    cloneBase,
+    provider,
+    providerFile,
+    labels = [],
+    reviewers = [],
+    assignees = [],
+    milestone,
+    draft = false,
+    usePrTemplate = true,
+    transitive = false,
+    installStrategy = 'force',
+    cwd = process.cwd(),
+    output = CONSOLE_OUTPUT,
+    emit = () => {},
+    hooks = {}
+  } = options;
+
+  const startedAt = Date.now();
+  const logger = createRepoLogger(false, output);
+  const run = {
+    success: false,
+    dryRun,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: 0,
+    packages: packages.map((name, i) => ({ name, version: versions[i] })),
+    results: [],
+    error: null
+  };
+
+  // Log why the run couldn't start and return it as failed
+  const invalid = (message) => {
+    logger.error(chalk.red(`Error: ${message}`));
+    run.error = message;
+    return run;
+  };
 
   // Validate input
   if (packages.length !== versions.length) {
-    console.error(chalk.red('Error: Number of packages and versions must match.'));
-    return false;
+    return invalid('Number of packages and versions must match.');
   }
 
   if (packages.length === 0) {
-    console.error(chalk.red('Error: No packages specified.'));
-    return false;
+    return invalid('No packages specified.');
   }
 
   if (repos.length === 0) {
-    console.error(chalk.red('Error: No repositories specified.'));
-    return false;
+    return invalid('No repositories specified.');
   }
 
-  // Generate a timestamp for branch names
-  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+  // Check every package, version and branch before any repository is touched,
+  // including the ones per-repo overrides bring in
+  const overrides = Object.values(repoOverrides);
+  const inputErrors = [
+    ...packages.map(validatePackageName),
+    ...versions.map(validateVersion),
+    ...overrides.flatMap((override) => Object.keys(override.packages || {}).map(validatePackageName)),
+    ...overrides.flatMap((override) => Object.values(override.packages || {}).map(validateVersion)),
+    await validateBranchName(branchName),
+    ...(await Promise.all([baseBranch, ...overrides.map((override) => override.base)]
+      .filter(Boolean)
+      .map(validateBranchName)))
+  ];
+  const inputError = inputErrors.find(Boolean);
+  if (inputError) {
+    return invalid(inputError);
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return invalid('Concurrency must be a whole number of at least 1.');
+  }
+
+  if (savePrefix !== undefined && !['^', '~', ''].includes(savePrefix)) {
+    return invalid('Save prefix must be "^", "~" or "".');
+  }
+
+  if (!['abort', 'draft'].includes(onVerifyFail)) {
+    return invalid('On verify fail must be "abort" or "draft".');
+  }
+
+  if (!['abort', 'stash', 'reset'].includes(onDirty)) {
+    return invalid('On dirty must be "abort", "stash" or "reset".');
+  }
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    return invalid('Retries must be a whole number of at least 0.');
+  }
+
+  if (!INSTALL_STRATEGIES.includes(installStrategy)) {
+    return invalid(`Install strategy must be one of: ${INSTALL_STRATEGIES.join(', ')}.`);
+  }
+
+  if (provider && !PROVIDER_IDS.includes(provider)) {
+    return invalid(`Provider must be one of: ${PROVIDER_IDS.join(', ')}.`);
+  }
+
+  // Record each repository's progress as it goes, so a partly failed or
+  // interrupted run can be picked up again (a dry run changes nothing worth resuming)
+  const state = stateFile && !dryRun ?
+    createState({ packages, versions, branchName }, repos, previousState) :
+    null;
+  const statePath = stateFile && path.resolve(cwd, stateFile);
+  const recordProgress = (repo, details) => {
+    if (state) {
+      Object.assign(state.repos[repo], details);
+      saveState(statePath, state);
+    }
+  };
+  if (state) {
+    saveState(statePath, state);
+  }
+
+  // Shared by every repository, so each code host only checks authentication once
+  const resolveProvider = createProviderResolver({ provider, providerFile, cwd });
+
+  // Shared by every repository, so each package is only looked up once
+  const resolveTarget = createVersionResolver({ registry, saveExact, savePrefix });
 
   // Create PR title and description
   let packageList = '';
+  let changes = '';
   for (let i = 0; i < packages.length; i++) {
     if (i > 0) {
       packageList += ', ';
     }
     packageList += `${packages[i]}@${versions[i]}`;
+    changes += `- ${packages[i]} to ${versions[i]}\n`;
   }
 
-  const prTitle = `Update npm packages: ${packageList}`;
-
-  // Create PR body with proper newlines
-  let prBody = 'This PR updates the following npm packages:\n\n';
-  for (let i = 0; i < packages.length; i++) {
-    prBody += `- ${packages[i]} to ${versions[i]}\n`;
+  // Process each repository, several at a time if requested
+  const bufferOutput = concurrency > 1;
+  if (bufferOutput) {
+    logger.log(chalk.blue(`Processing ${repos.length} repositories, ${concurrency} at a time...`));
   }
-  prBody += '\nAutomatically generated by batch-upgrade-npm-packages.';
 
-  // Process each repository
-  const results = [];
-  for (const repo of repos) {
-    // Create a unique branch name
-    const branchName = `update-packages-${timestamp}`;
+  const results = await mapWithConcurrency(repos, concurrency, async (repo, index) => {
+    if (bufferOutput) {
+      logger.log(chalk.blue(`[${index + 1}/${repos.length}] Started ${repo}`));
+    }
+
+    // Apply any per-repo override from the config file
+    const override = findRepoOverride(repoOverrides, repo, cwd);
+    const repoPackages = applyRepoOverride(packages, versions, override);
+
+    // Resolve targets against the registry; a bad target only skips that package
+    const targets = { packages: [], versions: [], resolvedVersions: [], skipped: repoPackages.skipped };
+    for (let i = 0; i < repoPackages.packages.length; i++) {
+      const pkg = repoPackages.packages[i];
+      try {
+        const { version, spec } = await resolveTarget(pkg, repoPackages.versions[i]);
+        targets.packages.push(pkg);
+        targets.versions.push(spec);
+        targets.resolvedVersions.push(version);
+      } catch (error) {
+        targets.skipped.push({ pkg, reason: error.message });
+      }
+    }
+
+    // Create PR title and body with proper newlines
+    const templateValues = {
+      packages: packageList,
+      changes,
+      repo: repoName(repo),
+      package: packages.join(', '),
+      to: versions.join(', '),
+      releaseNotes: '',
+      template: ''
+    };
 
     // Update the repository
     const result = await updateRepo({
       repoPath: repo,
-      packages,
-      versions,
+      packages: targets.packages,
+      versions: targets.versions,
+      resolvedVersions: targets.resolvedVersions,
+      skipped: targets.skipped,
       branchName,
-      prTitle,
-      prBody
+      baseBranch: override.base || baseBranch,
+      prTitle: renderTemplate(prTitleTemplate, templateValues),
+      prBody: renderTemplate(prBodyTemplate, templateValues),
+      prTitleTemplate,
+      prBodyTemplate,
+      verifyScripts,
+      onVerifyFail,
+      onDirty,
+      dryRun,
+      bufferOutput,
+      retries,
+      retryDelay,
+      useWorktree,
+      cloneBase,
+      resolveProvider,
+      resolveTarget,
+      providerId: override.provider,
+      labels,
+      reviewers,
+      assignees,
+      milestone,
+      draft,
+      usePrTemplate,
+      transitive,
+      installStrategy,
+      cwd,
+      output,
+      emit,
+      hooks,
+      resumeFrom: previousState ? resumePoint(previousState.repos[repo]) : null,
+      onProgress: (details) => recordProgress(repo, { status: 'running', ...details })
     });
 
-    results.push({ repo, success: result });
-  }
+    recordProgress(repo, result);
+    return result;
+  });
 
-  console.log(chalk.cyan('\n-------------------------------------'));
-  console.log(chalk.green('Package update process completed.'));
+  logger.log(chalk.cyan('\n-------------------------------------'));
+  logger.log(chalk.green(dryRun ? 'Dry run completed. No repositories were modified.' : 'Package update process completed.'));
 
   // Print summary
-  console.log(chalk.cyan('\nSummary:'));
+  logger.log(chalk.cyan('\nSummary:'));
   for (const result of results) {
-    if (result.success) {
-      console.log(chalk.green(`${result.repo}: Success`));
+    if (!result.success) {
+      logger.log(chalk.red(`${result.repo}: Failed at ${result.failedStep} (${result.error})`));
+    } else if (result.prUrl) {
+      const action = result.prAction === 'updated' ? 'updated' : 'opened';
+      logger.log(chalk.green(`${result.repo}: Success - ${action} ${result.draft ? 'draft ' : ''}PR ${result.prUrl}`));
+    } else if (result.status === 'unchanged') {
+      logger.log(chalk.green(`${result.repo}: Success - already up to date`));
+    } else if (result.status === 'skipped') {
+      logger.log(chalk.yellow(`${result.repo}: Skipped in review`));
+    } else if (result.branch && result.status === 'updated') {
+      logger.log(chalk.green(`${result.repo}: Success - pushed ${result.branch}`));
     } else {
-      console.log(chalk.red(`${result.repo}: Failed`));
+      logger.log(chalk.green(`${result.repo}: Success`));
     }
   }
 
-  return true;
+  run.results = results;
+  run.success = results.every((result) => result.success);
+  run.durationMs = Date.now() - startedAt;
+  return run;
+}
+
+/**
+ * Events an upgrader emits, and what each listener is called with
+ *
+ * - repo:start: {repo}, as work on a repository begins
+ * - package:planned: {repo, ...PackageUpdate}, for each change a dry run would make
+ * - package:updated: {repo, ...PackageUpdate}, as each version is changed in a manifest
+ * - package:skipped: {repo, pkg, reason, manifest}, for each package left alone
+ * - install:output: {repo, command, stream, text}, as install commands print
+ * - pr:created / pr:updated: {repo, url, draft}, once the pull request is open
+ * - repo:done / repo:failed: RepoResult, when a repository is finished
+ * - output: {stream, text}, for everything that would otherwise be printed
+ * - run:done: RunResult, when every repository is finished
+ */
+const UPGRADER_EVENTS = [
+  'repo:start',
+  'package:planned',
+  'package:updated',
+  'package:skipped',
+  'install:output',
+  'pr:created',
+  'pr:updated',
+  'repo:done',
+  'repo:failed',
+  'output',
+  'run:done'
+];
+
+/**
+ * Create an upgrader, for driving updates from code rather than the command line
+ *
+ * The upgrader is an EventEmitter (see UPGRADER_EVENTS) and prints nothing
+ * itself: the log arrives as "output" events for the caller to show or ignore.
+ * @param {Object} options - Options for updatePackages: packages, versions, repos and the rest, plus
+ * @param {string} [options.cwd] - Directory relative repository paths are relative to (default: the current directory)
+ * @param {Object} [options.hooks] - Lifecycle hooks, each of which may be async
+ * @param {Function} [options.hooks.beforeCommit] - Called with {repo, dir, branch, packageManager, updates} once
+ *   the new versions are installed, before verification and the commit, e.g. to run a codemod. Files it changes
+ *   are committed with the update, and throwing fails the repository
+ * @param {Function} [options.hooks.review] - Called with {repo, dir, packageManager, updates, skipped, diff,
+ *   lockfile, lockfileChanges, verificationFailed} once the changes are ready, before the commit. Returns
+ *   {action: "accept"}, {action: "skip"} to leave the repository alone, {action: "edit", versions: {pkg: range}}
+ *   to start it over with other versions, or {action: "refresh"} to be called again with fresh changes, e.g.
+ *   after editing files by hand (see compareLockfiles in ./review for lockfileChanges)
+ * @returns {EventEmitter} Upgrader, whose run(overrides) updates every repository with the options (and any
+ *   overrides for this run) and resolves to a RunResult
+ */
+function createUpgrader(options = {}) {
+  const upgrader = new EventEmitter();
+  const emit = (event, payload) => upgrader.emit(event, payload);
+  const output = {
+    stdout: (text) => emit('output', { stream: 'stdout', text }),
+    stderr: (text) => emit('output', { stream: 'stderr', text })
+  };
+
+  upgrader.run = async (overrides = {}) => {
+    const run = await updatePackages({ ...options, ...overrides, output, emit });
+    emit('run:done', run);
+    return run;
+  };
+
+  return upgrader;
 }
 
 module.exports = {
+  campaignBranchName,
+  createUpgrader,
+  UPGRADER_EVENTS,
   updatePackages,
+  rollbackCampaign,
   checkGhLogin,
   packageExists,
   getCurrentVersion,
+  getCurrentVersions,
   versionIsHigherOrEqual,
   updatePackageJson,
-  updateRepo
+  analyzePackages,
+  analyzeRepo,
+  updateRepo,
+  executeCommand
 };
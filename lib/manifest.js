@@ -0,0 +1,378 @@
+/**
+ * Surgical edits to package.json files
+ *
+ * Rewriting a manifest with JSON.stringify reindents it and loses its line
+ * endings, which buries a one-line version bump in a noisy diff. These helpers
+ * find the exact span of a value in the original text and change only that,
+ * so everything else stays byte-identical.
+ */
+
+/**
+ * Parse JSON text into a tree that records where each value is
+ *
+ * Objects are `{type: 'object', start, end, members: [{key, value}]}`, arrays
+ * `{type: 'array', start, end, items}` and everything else `{type, start, end}`,
+ * with `end` just past the value's last character.
+ * @param {string} text - JSON text
+ * @returns {Object} Root node
+ * @throws {Error} If the text is not valid JSON
+ */
+function parseWithPositions(text) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${pos}`);
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[pos] !== char) {
+      fail(`Expected "${char}"`);
+    }
+    pos++;
+  };
+
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    if (pos >= text.length) {
+      fail('Unterminated string');
+    }
+    pos++;
+    return { type: 'string', start, end: pos, value: JSON.parse(text.slice(start, pos)) };
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const start = pos;
+
+    if (text[pos] === '{') {
+      pos++;
+      const members = [];
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+        return { type: 'object', start, end: pos, members };
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[pos] !== '"') {
+          fail('Expected a property name');
+        }
+        const key = parseString().value;
+        expect(':');
+        members.push({ key, value: parseValue() });
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          continue;
+        }
+        expect('}');
+        return { type: 'object', start, end: pos, members };
+      }
+    }
+
+    if (text[pos] === '[') {
+      pos++;
+      const items = [];
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+        return { type: 'array', start, end: pos, items };
+      }
+      for (;;) {
+        items.push(parseValue());
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          continue;
+        }
+        expect(']');
+        return { type: 'array', start, end: pos, items };
+      }
+    }
+
+    if (text[pos] === '"') {
+      return parseString();
+    }
+
+    const literal = text.slice(pos).match(/^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!literal) {
+      fail('Unexpected token');
+    }
+    pos += literal[0].length;
+    return { type: 'literal', start, end: pos };
+  };
+
+  const root = parseValue();
+  skipWhitespace();
+  if (pos < text.length) {
+    fail('Unexpected text after JSON');
+  }
+  return root;
+}
+
+/**
+ * Get the whitespace a line starts with
+ * @param {string} text - Whole text
+ * @param {number} offset - Any position in the line
+ * @returns {string} Leading whitespace of that line
+ */
+function lineIndent(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Work out how a JSON file is formatted
+ * @param {string} text - File contents
+ * @returns {{indent: string, eol: string, finalNewline: boolean}} Indentation unit, line ending,
+ *   and whether the file ends with a line ending
+ */
+function detectFormat(text) {
+  const indented = text.match(/^([ \t]+)\S/m);
+  return {
+    indent: indented ? indented[1] : '  ',
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n$/.test(text)
+  };
+}
+
+/**
+ * Render a value for insertion, in the file's own formatting
+ * @param {*} value - Value to render
+ * @param {string} pad - Indentation of the line the value starts on
+ * @param {Object} format - Format from detectFormat
+ * @returns {string} JSON text
+ */
+function renderValue(value, pad, format) {
+  if (!value || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  const inner = pad + format.indent;
+  const members = Object.entries(value).map(([key, child]) => `${inner}${JSON.stringify(key)}: ${renderValue(child, inner, format)}`);
+  return members.length ? `{${format.eol}${members.join(`,${format.eol}`)}${format.eol}${pad}}` : '{}';
+}
+
+/**
+ * Set a value in JSON text, changing nothing but that value
+ *
+ * An existing value has its span replaced. A missing one is added as the last
+ * member of the deepest object on the path that exists, along with any
+ * objects in between, indented like its siblings.
+ * @param {string} text - JSON text
+ * @param {string[]} keyPath - Keys leading to the value, e.g. ['devDependencies', 'react']
+ * @param {*} value - New value
+ * @returns {string} Edited text
+ * @throws {Error} If the text is not valid JSON, or something on the path is not an object
+ */
+function setJsonValue(text, keyPath, value) {
+  const format = detectFormat(text);
+  let node = parseWithPositions(text);
+
+  for (let i = 0; i < keyPath.length; i++) {
+    if (node.type !== 'object') {
+      throw new Error(`${keyPath.slice(0, i).join('.')} is not an object`);
+    }
+
+    // JSON.parse keeps the last of duplicate keys, so edit that one
+    const member = node.members.filter(({ key }) => key === keyPath[i]).pop();
+    if (member && i === keyPath.length - 1) {
+      return text.slice(0, member.value.start) + renderValue(value, lineIndent(text, member.value.start), format) + text.slice(member.value.end);
+    }
+    if (member) {
+      node = member.value;
+      continue;
+    }
+
+    // Build whatever is missing from here down and add it to this object
+    const missing = keyPath.slice(i + 1).reduceRight((child, key) => ({ [key]: child }), value);
+    if (node.members.length) {
+      const last = node.members[node.members.length - 1].value;
+      const key = JSON.stringify(keyPath[i]);
+
+      // Keep an object written on one line on one line
+      if (!text.slice(node.start, node.end).includes('\n')) {
+        return `${text.slice(0, last.end)}, ${key}: ${JSON.stringify(missing)}${text.slice(last.end)}`;
+      }
+
+      const pad = lineIndent(text, text.lastIndexOf(':', last.start));
+      return `${text.slice(0, last.end)},${format.eol}${pad}${key}: ${renderValue(missing, pad, format)}${text.slice(last.end)}`;
+    }
+
+    const closePad = lineIndent(text, node.start);
+    const pad = closePad + format.indent;
+    const body = `{${format.eol}${pad}${JSON.stringify(keyPath[i])}: ${renderValue(missing, pad, format)}${format.eol}${closePad}}`;
+    return text.slice(0, node.start) + body + text.slice(node.end);
+  }
+
+  throw new Error('No key to set');
+}
+
+/**
+ * Find the items (lines or tokens) removed from and added to a sequence, using the longest common subsequence
+ * @param {string[]} before - Items before
+ * @param {string[]} after - Items after
+ * @returns {{removed: string[], added: string[], addedAt: number[]}} Changed items, and where in `after`
+ *   each added item is
+ */
+function diffSequences(before, after) {
+  // Only the part between the common start and end needs comparing
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+
+  const lengths = a.map(() => new Array(b.length + 1).fill(0));
+  lengths.push(new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const removed = [];
+  const added = [];
+  const addedAt = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      removed.push(a[i++]);
+    } else {
+      addedAt.push(start + j);
+      added.push(b[j++]);
+    }
+  }
+
+  return { removed, added, addedAt };
+}
+
+/**
+ * Split JSON text into tokens: strings, punctuation, literals and runs of whitespace
+ * @param {string} text - JSON text, or part of it
+ * @returns {string[]} Tokens, which join back into the text
+ */
+function tokenize(text) {
+  return text.match(/"(?:[^"\\]|\\.)*"?|[{}[\]:,]|\s+|[^\s{}[\]:,"]+/g) || [];
+}
+
+/**
+ * Find the node of a value in a tree from parseWithPositions
+ * @param {Object} root - Root node
+ * @param {string[]} keyPath - Keys leading to the value
+ * @returns {Object|undefined} Node, or undefined if the value doesn't exist
+ */
+function findNode(root, keyPath) {
+  return keyPath.reduce((node, key) => (
+    node && node.type === 'object' ? (node.members.filter((member) => member.key === key).pop() || {}).value : undefined
+  ), root);
+}
+
+/**
+ * Check that a manifest changed only where intended
+ * @param {string} before - Manifest text before the edits
+ * @param {string} after - Manifest text after the edits
+ * @param {Array<{keyPath: string[], value: *}>} edits - Intended edits
+ * @returns {string[]} Problems found, empty if only the intended lines changed
+ */
+function checkManifestEdits(before, after, edits) {
+  const problems = [];
+
+  const beforeFormat = detectFormat(before);
+  const afterFormat = detectFormat(after);
+  if (beforeFormat.eol !== afterFormat.eol) {
+    problems.push('line endings changed');
+  }
+  if (beforeFormat.finalNewline !== afterFormat.finalNewline) {
+    problems.push('trailing newline changed');
+  }
+
+  // The content must be exactly the original with the edits applied, in the same key order
+  let expected;
+  let actual;
+  try {
+    expected = JSON.parse(before);
+    actual = JSON.parse(after);
+  } catch (error) {
+    return [...problems, `not valid JSON any more (${error.message})`];
+  }
+  for (const { keyPath, value } of edits) {
+    let target = expected;
+    for (const key of keyPath.slice(0, -1)) {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[keyPath[keyPath.length - 1]] = value;
+  }
+  if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    problems.push('content differs from the intended edits');
+  }
+
+  // Within the changed lines, only edited keys, their old and new values and
+  // the punctuation around them may change, and whitespace may only be added
+  // next to other added tokens (for new members). Comparing tokens rather than
+  // lines also covers manifests written on one line, where every edit changes
+  // the only line.
+  let beforeRoot = null;
+  try {
+    beforeRoot = parseWithPositions(before);
+  } catch (error) {
+    // Already reported as invalid JSON by JSON.parse above
+  }
+  const allowed = new Set(['{', '}', '[', ']', ':', ',']);
+  for (const { keyPath, value } of edits) {
+    for (const key of keyPath) {
+      allowed.add(JSON.stringify(key));
+    }
+    tokenize(JSON.stringify(value)).forEach((token) => allowed.add(token));
+    const old = beforeRoot && findNode(beforeRoot, keyPath);
+    if (old) {
+      tokenize(before.slice(old.start, old.end)).forEach((token) => allowed.add(token));
+    }
+  }
+
+  const lines = diffSequences(before.split(/\r?\n/), after.split(/\r?\n/));
+  const afterTokens = tokenize(lines.added.join('\n'));
+  const { removed, added, addedAt } = diffSequences(tokenize(lines.removed.join('\n')), afterTokens);
+  const addedIndexes = new Set(addedAt);
+  const strayWhitespace = addedAt.some((index) => !afterTokens[index].trim() && !addedIndexes.has(index - 1) && !addedIndexes.has(index + 1));
+  if (removed.some((token) => !token.trim()) || strayWhitespace) {
+    problems.push('indentation or spacing changed');
+  }
+  for (const token of new Set(removed.filter((removedToken) => removedToken.trim() && !allowed.has(removedToken)))) {
+    problems.push(`unexpected change to ${token}`);
+  }
+  for (const token of new Set(added.filter((addedToken) => addedToken.trim() && !allowed.has(addedToken)))) {
+    problems.push(`unexpected ${token} added`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  parseWithPositions,
+  detectFormat,
+  setJsonValue,
+  checkManifestEdits
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { setJsonValue } = require('./manifest');
+
+/**
+ * Where each package manager reads forced versions of transitive dependencies
+ * from, as a path into package.json
+ */
+const OVERRIDE_FIELDS = {
+  npm: ['overrides'],
+  pnpm: ['pnpm', 'overrides'],
+  yarn: ['resolutions'],
+  'yarn-berry': ['resolutions']
+};
+
+/**
+ * Get the package an override key applies to
+ *
+ * Keys can be a plain name ("lodash"), carry a range ("lodash@<4.17.21"), or
+ * name a parent first: "**\/lodash" and "parent/lodash" (Yarn), "parent>lodash" (pnpm).
+ * @param {string} key - Override key
+ * @returns {string|null} Package name, or null if the key can't be read
+ */
+function overrideTargetName(key) {
+  const match = key.match(/(?:^|[/>])((?:@[^/>@]+\/)?[^/>@]+)(?:@[^/>]*)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the overrides for a package in a package.json
+ * @param {Object} packageJson - Parsed package.json
+ * @param {Object} packageManager - Package manager from detectPackageManager
+ * @param {string} pkg - Package name
+ * @returns {{field: string[], entries: Array<{keyPath: string[], version: *}>}} The override field for this
+ *   package manager, and every entry in it for the package with its path into package.json
+ */
+function findOverrides(packageJson, packageManager, pkg) {
+  const field = OVERRIDE_FIELDS[packageManager.id];
+  const entries = [];
+
+  // npm nests overrides under the package they apply to, with "." for the parent itself
+  const walk = (overrides, keyPath, parent) => {
+    for (const [key, value] of Object.entries(overrides)) {
+      const name = key === '.' ? parent : overrideTargetName(key);
+      if (value && typeof value === 'object') {
+        walk(value, [...keyPath, key], name);
+      } else if (name === pkg) {
+        entries.push({ keyPath: [...keyPath, key], version: value });
+      }
+    }
+  };
+
+  const overrides = field.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), packageJson);
+  if (overrides && typeof overrides === 'object') {
+    walk(overrides, field, null);
+  }
+
+  return { field, entries };
+}
+
+/**
+ * Set an override in package.json, creating the objects on the way as needed
+ * and leaving the rest of the file untouched
+ * @param {string[]} keyPath - Path to the override, e.g. ['pnpm', 'overrides', 'lodash']
+ * @param {string} version - Version to force
+ * @param {string} packageJsonPath - Path to package.json
+ * @param {Object} [logger] - Where to report errors (default: console)
+ * @returns {boolean} true if the update was successful, false otherwise
+ */
+function setOverride(keyPath, version, packageJsonPath = 'package.json', logger = console) {
+  try {
+    const text = fs.readFileSync(packageJsonPath, 'utf8');
+    fs.writeFileSync(packageJsonPath, setJsonValue(text, keyPath, version));
+    return true;
+  } catch (error) {
+    logger.error(chalk.red(`Error setting ${keyPath.join('.')} in ${packageJsonPath}: ${error.message}`));
+    return false;
+  }
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  overrideTargetName,
+  findOverrides,
+  setOverride
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+/**
+ * Supported package managers, keyed by id
+ *
+ * `forceInstall` refreshes the lockfile after package.json was edited, `install`
+ * then verifies that a clean install works from the refreshed lockfile.
+ * `strictInstall` refreshes the lockfile without forcing anything and fails on
+ * peer dependency conflicts where the package manager can, and `lockfileInstall`
+ * only updates the lockfile (null when the package manager can't).
+ * `lockfileUpdate`, followed by package names, only updates the lockfile entries
+ * of those packages, to the ranges package.json now asks for (null when
+ * `lockfileInstall` already leaves unchanged ranges alone). It takes names
+ * rather than `pkg@range` specs, which npm and pnpm would write back to
+ * package.json in their own format. `run` is the
+ * prefix for running a package.json script. Commands are argument arrays, run
+ * without a shell. `peerConflict` matches the output lines that report a peer
+ * dependency conflict.
+ */
+const PACKAGE_MANAGERS = {
+  npm: {
+    id: 'npm',
+    name: 'npm',
+    lockfile: 'package-lock.json',
+    forceInstall: ['npm', 'install', '--force'],
+    install: ['npm', 'install'],
+    strictInstall: ['npm', 'install', '--strict-peer-deps'],
+    lockfileInstall: ['npm', 'install', '--package-lock-only', '--no-audit', '--no-fund'],
+    lockfileUpdate: ['npm', 'update', '--package-lock-only', '--no-audit', '--no-fund'],
+    run: ['npm', 'run'],
+    peerConflict: /ERESOLVE|Could not resolve dependency|Conflicting peer dependency|peer .+ from /
+  },
+  pnpm: {
+    id: 'pnpm',
+    name: 'pnpm',
+    lockfile: 'pnpm-lock.yaml',
+    forceInstall: ['pnpm', 'install', '--force', '--no-frozen-lockfile'],
+    install: ['pnpm', 'install', '--frozen-lockfile'],
+    strictInstall: ['pnpm', 'install', '--no-frozen-lockfile', '--strict-peer-dependencies'],
+    lockfileInstall: ['pnpm', 'install', '--lockfile-only', '--no-frozen-lockfile'],
+    lockfileUpdate: ['pnpm', 'update', '--recursive', '--lockfile-only', '--no-save'],
+    run: ['pnpm', 'run'],
+    peerConflict: /ERR_PNPM_PEER_DEP_ISSUES|unmet peer|missing peer/i
+  },
+  yarn: {
+    id: 'yarn',
+    name: 'Yarn (classic)',
+    lockfile: 'yarn.lock',
+    forceInstall: ['yarn', 'install', '--force', '--no-frozen-lockfile'],
+    install: ['yarn', 'install', '--frozen-lockfile'],
+    strictInstall: ['yarn', 'install', '--no-frozen-lockfile'],
+    lockfileInstall: null,
+    lockfileUpdate: null,
+    run: ['yarn', 'run'],
+    peerConflict: /has (?:unmet|incorrect) peer dependency/
+  },
+  'yarn-berry': {
+    id: 'yarn-berry',
+    name: 'Yarn (berry)',
+    lockfile: 'yarn.lock',
+    forceInstall: ['yarn', 'install', '--no-immutable'],
+    install: ['yarn', 'install', '--immutable'],
+    strictInstall: ['yarn', 'install', '--no-immutable'],
+    lockfileInstall: ['yarn', 'install', '--no-immutable', '--mode', 'update-lockfile'],
+    lockfileUpdate: null,
+    run: ['yarn', 'run'],
+    peerConflict: /YN0060|YN0002|doesn't provide .+ requested by|provides .+ with version .+ which doesn't satisfy/
+  }
+};
+
+/**
+ * Ways of refreshing the lockfile after package.json was edited
+ *
+ * - `force`: clean install with --force, then a clean install without it to verify
+ * - `strict`: install without --force, failing on peer dependency conflicts
+ * - `lockfile-only`: only update the lockfile, without installing anything
+ */
+const INSTALL_STRATEGIES = ['force', 'strict', 'lockfile-only'];
+
+/**
+ * Install output that points at the network or the registry, the only install
+ * failures that may go away when the install is retried
+ */
+const NETWORK_ERROR = new RegExp([
+  /ETIMEDOUT|ESOCKETTIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|ENETUNREACH|EHOSTUNREACH/.source,
+  /socket hang up|network (?:error|request failed)|getaddrinfo/.source,
+  /\bE(?:429|5\d\d)\b|ERR_PNPM_FETCH_(?:429|5\d\d)/.source,
+  /429 Too Many Requests|5\d\d (?:Internal Server Error|Bad Gateway|Service Unavailable|Gateway Time-?out)/.source
+].join('|'), 'i');
+
+/**
+ * Pick out the lines of install output that report peer dependency conflicts
+ * @param {Object} packageManager - Package manager (see PACKAGE_MANAGERS)
+ * @param {string} output - Install output
+ * @returns {string[]} Conflict lines, without colours, log prefixes and duplicates
+ */
+function findPeerConflicts(packageManager, output) {
+  const lines = output.replace(/\u001b\[[0-9;]*m/g, '').split('\n')
+    .map((line) => line.replace(/^\s*(?:npm (?:warn|WARN|ERR!|error)|warning|➤)\s*/, '').trim());
+  return [...new Set(lines.filter((line) => packageManager.peerConflict.test(line)))];
+}
+
+/**
+ * Tell whether a failed install is worth retrying
+ *
+ * Peer dependency conflicts, missing versions and broken manifests fail the
+ * same way every time, so only network and registry errors are retried.
+ * @param {Object} packageManager - Package manager (see PACKAGE_MANAGERS)
+ * @param {string} output - Install output
+ * @returns {boolean} true if the output reports a network or registry error and no peer conflict
+ */
+function isTransientInstallFailure(packageManager, output) {
+  return NETWORK_ERROR.test(output) && !findPeerConflicts(packageManager, output).length;
+}
+
+/**
+ * Read the package manager from the "packageManager" field of package.json
+ * @param {string} repoDir - Repository directory
+ * @returns {Object|null} Package manager, or null if the field is missing or unknown
+ */
+function fromPackageManagerField(repoDir) {
+  const packageJsonPath = path.join(repoDir, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  let field;
+  try {
+    field = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).packageManager;
+  } catch (error) {
+    return null;
+  }
+
+  if (typeof field !== 'string') {
+    return null;
+  }
+
+  // e.g. "pnpm@8.6.0" or "yarn@3.6.1+sha224.abc"
+  const [name, version = ''] = field.split('@');
+
+  if (name === 'yarn') {
+    const major = semver.coerce(version);
+    return major && major.major >= 2 ? PACKAGE_MANAGERS['yarn-berry'] : PACKAGE_MANAGERS.yarn;
+  }
+
+  return PACKAGE_MANAGERS[name] || null;
+}
+
+/**
+ * Tell Yarn berry apart from Yarn classic when only a yarn.lock is present
+ * @param {string} repoDir - Repository directory
+ * @returns {boolean} true if the repository uses Yarn 2 or later
+ */
+function isYarnBerry(repoDir) {
+  if (fs.existsSync(path.join(repoDir, '.yarnrc.yml'))) {
+    return true;
+  }
+
+  // Berry lockfiles start with a __metadata block, classic ones never have it
+  const lockfile = fs.readFileSync(path.join(repoDir, 'yarn.lock'), 'utf8');
+  return lockfile.includes('__metadata:');
+}
+
+/**
+ * Detect which package manager a repository uses
+ *
+ * The "packageManager" field in package.json wins, then the lockfile on disk.
+ * Repositories with neither fall back to npm.
+ * @param {string} repoDir - Repository directory
+ * @returns {Object} Package manager (see PACKAGE_MANAGERS)
+ */
+function detectPackageManager(repoDir = '.') {
+  const declared = fromPackageManagerField(repoDir);
+  if (declared) {
+    return declared;
+  }
+
+  if (fs.existsSync(path.join(repoDir, 'pnpm-lock.yaml'))) {
+    return PACKAGE_MANAGERS.pnpm;
+  }
+
+  if (fs.existsSync(path.join(repoDir, 'yarn.lock'))) {
+    return isYarnBerry(repoDir) ? PACKAGE_MANAGERS['yarn-berry'] : PACKAGE_MANAGERS.yarn;
+  }
+
+  return PACKAGE_MANAGERS.npm;
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  INSTALL_STRATEGIES,
+  detectPackageManager,
+  findPeerConflicts,
+  isTransientInstallFailure
+};
@@ -0,0 +1,203 @@
+const https = require('https');
+const { readCommand } = require('../git');
+
+/**
+ * Bitbucket Cloud REST API
+ */
+const API_URL = 'https://api.bitbucket.org/2.0';
+
+/**
+ * Build the Authorization header from the environment
+ *
+ * BITBUCKET_TOKEN (an access token) wins, otherwise BITBUCKET_USERNAME and
+ * BITBUCKET_APP_PASSWORD are used for basic auth.
+ * @returns {string|null} Header value, or null if no credentials are set
+ */
+function authorization() {
+  const { BITBUCKET_TOKEN, BITBUCKET_USERNAME, BITBUCKET_APP_PASSWORD } = process.env;
+  if (BITBUCKET_TOKEN) {
+    return `Bearer ${BITBUCKET_TOKEN}`;
+  }
+  if (BITBUCKET_USERNAME && BITBUCKET_APP_PASSWORD) {
+    return `Basic ${Buffer.from(`${BITBUCKET_USERNAME}:${BITBUCKET_APP_PASSWORD}`).toString('base64')}`;
+  }
+  return null;
+}
+
+/**
+ * Call the Bitbucket API
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path below /2.0, e.g. "/user"
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Parsed response, rejecting with Bitbucket's error message on failure
+ */
+function request(method, apiPath, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = https.request(`${API_URL}${apiPath}`, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        Authorization: authorization() || '',
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        let parsed = {};
+        try {
+          parsed = data ? JSON.parse(data) : {};
+        } catch (error) {
+          // Not JSON, e.g. an HTML error page
+        }
+
+        if (res.statusCode >= 400) {
+          const message = parsed.error && parsed.error.message;
+          reject(new Error(message || `Bitbucket API returned ${res.statusCode} for ${method} ${apiPath}`));
+        } else {
+          resolve(parsed);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Work out the workspace and repository slug from the origin remote
+ * @param {string} repoDir - Repository directory
+ * @returns {Promise<string>} "workspace/repo"
+ */
+async function repoSlug(repoDir) {
+  const url = await readCommand('git', ['remote', 'get-url', 'origin'], repoDir);
+  const match = url && url.match(/bitbucket\.org[:/]([^/]+\/[^/]+?)(?:\.git)?\/?$/);
+  if (!match) {
+    throw new Error(`${url || 'The origin remote'} is not a Bitbucket repository`);
+  }
+  return match[1];
+}
+
+/**
+ * Turn a pull request from the API into the shape providers return
+ * @param {Object} pullRequest - Pull request as Bitbucket's API returns it
+ * @returns {{id: string, url: string, isDraft: boolean, labels: string[]}} Pull request
+ */
+function toPullRequest(pullRequest) {
+  return {
+    id: String(pullRequest.id),
+    url: pullRequest.links && pullRequest.links.html ? pullRequest.links.html.href : null,
+    isDraft: Boolean(pullRequest.draft),
+    labels: []
+  };
+}
+
+/**
+ * Create the Bitbucket Cloud provider, which talks to the REST API directly
+ *
+ * Bitbucket has no PR labels, assignees or milestones, so setting them always fails.
+ * Reviewers are given as account IDs or `{uuid}`s.
+ * @returns {Object} Code host provider (see ./index)
+ */
+function createProvider() {
+  let auth = null;
+
+  return {
+    id: 'bitbucket',
+    name: 'Bitbucket',
+    opensPullRequests: true,
+    loginHint: 'Set BITBUCKET_TOKEN, or BITBUCKET_USERNAME and BITBUCKET_APP_PASSWORD.',
+
+    checkAuth() {
+      if (!auth) {
+        auth = authorization() ? request('GET', '/user').then(() => true, () => false) : Promise.resolve(false);
+      }
+      return auth;
+    },
+
+    async defaultBranch(repoDir) {
+      try {
+        const repo = await request('GET', `/repositories/${await repoSlug(repoDir)}`);
+        return repo.mainbranch ? repo.mainbranch.name : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async findPullRequest(repoDir, branch) {
+      try {
+        const query = encodeURIComponent(`source.branch.name="${branch}" AND state="OPEN"`);
+        const { values = [] } = await request('GET', `/repositories/${await repoSlug(repoDir)}/pullrequests?q=${query}`);
+        return values.length ? toPullRequest(values[0]) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async createPullRequest(repoDir, { title, body, base, head, draft }) {
+      return toPullRequest(await request('POST', `/repositories/${await repoSlug(repoDir)}/pullrequests`, {
+        title,
+        description: body,
+        source: { branch: { name: head } },
+        destination: { branch: { name: base } },
+        draft: Boolean(draft)
+      }));
+    },
+
+    async updatePullRequest(repoDir, pr, { title, body }) {
+      await request('PUT', `/repositories/${await repoSlug(repoDir)}/pullrequests/${pr.id}`, { title, description: body });
+    },
+
+    async setDraft(repoDir, pr, draft) {
+      await request('PUT', `/repositories/${await repoSlug(repoDir)}/pullrequests/${pr.id}`, { draft });
+    },
+
+    async addLabels() {
+      throw new Error('Bitbucket pull requests have no labels');
+    },
+
+    async removeLabels() {
+      throw new Error('Bitbucket pull requests have no labels');
+    },
+
+    async requestReviewers(repoDir, pr, reviewers) {
+      const url = `/repositories/${await repoSlug(repoDir)}/pullrequests/${pr.id}`;
+      const current = await request('GET', url);
+      await request('PUT', url, {
+        title: current.title,
+        reviewers: [
+          ...(current.reviewers || []).map(({ uuid }) => ({ uuid })),
+          ...reviewers.map((reviewer) => (reviewer.startsWith('{') ? { uuid: reviewer } : { account_id: reviewer }))
+        ]
+      });
+    },
+
+    async addAssignees() {
+      throw new Error('Bitbucket pull requests have no assignees');
+    },
+
+    async setMilestone() {
+      throw new Error('Bitbucket pull requests have no milestones');
+    },
+
+    async commentOnPullRequest(repoDir, pr, comment) {
+      await request('POST', `/repositories/${await repoSlug(repoDir)}/pullrequests/${pr.id}/comments`, { content: { raw: comment } });
+    },
+
+    // Bitbucket calls closing a pull request without merging it declining it
+    async closePullRequest(repoDir, pr) {
+      await request('POST', `/repositories/${await repoSlug(repoDir)}/pullrequests/${pr.id}/decline`);
+    }
+  };
+}
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { readCommand } = require('../git');
+
+/**
+ * File the fake provider keeps its pull requests in when none is given
+ */
+const DEFAULT_PR_FILE = '.batch-upgrade-prs.json';
+
+/**
+ * Create the file-based provider, which keeps pull requests in a JSON file
+ *
+ * Meant for trying the tool out and for testing it without a network: point it
+ * at local bare repositories and inspect the file afterwards. Pull requests are
+ * keyed by the repository's origin URL and head branch.
+ * @param {Object} [options] - Options object
+ * @param {string} [options.file] - JSON file to keep pull requests in
+ * @param {string} [options.cwd] - Directory a relative file is relative to (default: the current directory)
+ * @returns {Object} Code host provider (see ./index)
+ */
+function createProvider(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const file = path.resolve(cwd, options.file || DEFAULT_PR_FILE);
+
+  const load = () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { pullRequests: [] });
+  const save = (data) => fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+  const repoKey = async (repoDir) => (await readCommand('git', ['remote', 'get-url', 'origin'], repoDir)) || path.resolve(repoDir);
+  const toPullRequest = ({ number, url, draft, labels }) => ({ id: String(number), url, isDraft: draft, labels });
+
+  // Apply a change to one stored pull request
+  const update = (pr, change) => {
+    const data = load();
+    const stored = data.pullRequests.find(({ number }) => String(number) === pr.id);
+    if (!stored) {
+      throw new Error(`Pull request ${pr.id} not found in ${file}`);
+    }
+    change(stored);
+    save(data);
+  };
+
+  return {
+    id: 'file',
+    name: `file (${path.relative(cwd, file)})`,
+    opensPullRequests: true,
+    loginHint: '',
+
+    async checkAuth() {
+      return true;
+    },
+
+    async defaultBranch() {
+      return null;
+    },
+
+    async findPullRequest(repoDir, branch) {
+      const repo = await repoKey(repoDir);
+      const stored = load().pullRequests.find((pr) => pr.repo === repo && pr.head === branch && pr.state === 'open');
+      return stored ? toPullRequest(stored) : null;
+    },
+
+    async createPullRequest(repoDir, { title, body, base, head, draft }) {
+      const repo = await repoKey(repoDir);
+      const data = load();
+      const number = data.pullRequests.length + 1;
+      const stored = {
+        number,
+        url: `${pathToFileURL(file)}#${number}`,
+        repo,
+        head,
+        base,
+        title,
+        body,
+        draft: Boolean(draft),
+        labels: [],
+        reviewers: [],
+        assignees: [],
+        milestone: null,
+        comments: [],
+        state: 'open'
+      };
+      data.pullRequests.push(stored);
+      save(data);
+      return toPullRequest(stored);
+    },
+
+    async updatePullRequest(repoDir, pr, { title, body }) {
+      update(pr, (stored) => Object.assign(stored, { title, body }));
+    },
+
+    async setDraft(repoDir, pr, draft) {
+      update(pr, (stored) => Object.assign(stored, { draft }));
+    },
+
+    async addLabels(repoDir, pr, labels) {
+      update(pr, (stored) => {
+        stored.labels = [...new Set([...stored.labels, ...labels])];
+      });
+    },
+
+    async removeLabels(repoDir, pr, labels) {
+      update(pr, (stored) => {
+        stored.labels = stored.labels.filter((label) => !labels.includes(label));
+      });
+    },
+
+    async requestReviewers(repoDir, pr, reviewers) {
+      update(pr, (stored) => {
+        stored.reviewers = [...new Set([...stored.reviewers, ...reviewers])];
+      });
+    },
+
+    async addAssignees(repoDir, pr, assignees) {
+      update(pr, (stored) => {
+        stored.assignees = [...new Set([...stored.assignees, ...assignees])];
+      });
+    },
+
+    async setMilestone(repoDir, pr, milestone) {
+      update(pr, (stored) => Object.assign(stored, { milestone }));
+    },
+
+    async commentOnPullRequest(repoDir, pr, comment) {
+      update(pr, (stored) => {
+        stored.comments = [...(stored.comments || []), comment];
+      });
+    },
+
+    async closePullRequest(repoDir, pr) {
+      update(pr, (stored) => Object.assign(stored, { state: 'closed' }));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PR_FILE,
+  createProvider
+};
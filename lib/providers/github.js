@@ -0,0 +1,99 @@
+const { runCli, withTempFile, lastUrl } = require('./run');
+
+/**
+ * Create the GitHub provider, which drives the GitHub CLI (gh)
+ *
+ * Works for github.com and GitHub Enterprise hosts gh is logged in to.
+ * @returns {Object} Code host provider (see ./index)
+ */
+function createProvider() {
+  let auth = null;
+
+  return {
+    id: 'github',
+    name: 'GitHub',
+    opensPullRequests: true,
+    loginHint: 'Run \'gh auth login\' first.',
+
+    checkAuth() {
+      if (!auth) {
+        auth = runCli('gh', ['auth', 'status']).then(() => true, () => false);
+      }
+      return auth;
+    },
+
+    async defaultBranch(repoDir) {
+      try {
+        return await runCli('gh', ['repo', 'view', '--json', 'defaultBranchRef', '--jq', '.defaultBranchRef.name'], repoDir) || null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async findPullRequest(repoDir, branch) {
+      let pullRequests;
+      try {
+        pullRequests = JSON.parse(await runCli('gh', ['pr', 'list', '--head', branch, '--state', 'open', '--json', 'url,isDraft,labels'], repoDir));
+      } catch (error) {
+        return null;
+      }
+
+      if (!Array.isArray(pullRequests) || !pullRequests.length) {
+        return null;
+      }
+
+      const [{ url, isDraft, labels = [] }] = pullRequests;
+      return { id: url, url, isDraft: Boolean(isDraft), labels: labels.map((label) => label.name) };
+    },
+
+    async createPullRequest(repoDir, { title, body, base, head, draft }) {
+      const output = await withTempFile(body, (bodyFile) => runCli('gh', [
+        'pr', 'create', '--title', title, '--body-file', bodyFile, '--base', base, '--head', head,
+        ...(draft ? ['--draft'] : [])
+      ], repoDir));
+
+      const url = lastUrl(output);
+      return { id: url, url, isDraft: Boolean(draft), labels: [] };
+    },
+
+    async updatePullRequest(repoDir, pr, { title, body }) {
+      await withTempFile(body, (bodyFile) => runCli('gh', ['pr', 'edit', pr.id, '--title', title, '--body-file', bodyFile], repoDir));
+    },
+
+    async setDraft(repoDir, pr, draft) {
+      await runCli('gh', ['pr', 'ready', pr.id, ...(draft ? ['--undo'] : [])], repoDir);
+    },
+
+    async addLabels(repoDir, pr, labels) {
+      await runCli('gh', ['pr', 'edit', pr.id, '--add-label', labels.join(',')], repoDir);
+    },
+
+    async removeLabels(repoDir, pr, labels) {
+      await runCli('gh', ['pr', 'edit', pr.id, '--remove-label', labels.join(',')], repoDir);
+    },
+
+    async requestReviewers(repoDir, pr, reviewers) {
+      await runCli('gh', ['pr', 'edit', pr.id, '--add-reviewer', reviewers.join(',')], repoDir);
+    },
+
+    async addAssignees(repoDir, pr, assignees) {
+      await runCli('gh', ['pr', 'edit', pr.id, '--add-assignee', assignees.join(',')], repoDir);
+    },
+
+    async setMilestone(repoDir, pr, milestone) {
+      await runCli('gh', ['pr', 'edit', pr.id, '--milestone', milestone], repoDir);
+    },
+
+    async commentOnPullRequest(repoDir, pr, comment) {
+      await withTempFile(comment, (commentFile) => runCli('gh', ['pr', 'comment', pr.id, '--body-file', commentFile], repoDir));
+    },
+
+    async closePullRequest(repoDir, pr) {
+      await runCli('gh', ['pr', 'close', pr.id], repoDir);
+    }
+  };
+}
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,139 @@
+const { runCli, withTempFile } = require('./run');
+
+/**
+ * Turn a merge request from `glab --output json` into the shape providers return
+ * @param {Object} mergeRequest - Merge request as GitLab's API returns it
+ * @returns {{id: string, url: string, isDraft: boolean, labels: string[]}} Pull request
+ */
+function toPullRequest(mergeRequest) {
+  return {
+    id: String(mergeRequest.iid),
+    url: mergeRequest.web_url,
+    isDraft: Boolean(mergeRequest.draft || mergeRequest.work_in_progress),
+    labels: mergeRequest.labels || []
+  };
+}
+
+/**
+ * Send a merge request to GitLab's REST API through `glab api`
+ *
+ * The fields go in a JSON file rather than on the command line, as descriptions
+ * with changelogs and verification output can get long.
+ * @param {string} repoDir - Repository directory, which tells glab the project
+ * @param {string} method - HTTP method, e.g. "POST"
+ * @param {string} endpoint - API endpoint, e.g. "projects/:id/merge_requests"
+ * @param {Object} fields - Request body
+ * @returns {Promise<Object>} The merge request GitLab returns
+ */
+async function sendMergeRequest(repoDir, method, endpoint, fields) {
+  const output = await withTempFile(JSON.stringify(fields), (bodyFile) => runCli('glab', [
+    'api', endpoint, '--method', method, '--header', 'Content-Type: application/json', '--input', bodyFile
+  ], repoDir));
+  return JSON.parse(output);
+}
+
+/**
+ * Title that keeps a merge request a draft, or not: GitLab's API has no draft
+ * flag, a "Draft:" prefix on the title is what makes one
+ * @param {string} title - Merge request title
+ * @param {boolean} draft - Whether the merge request is a draft
+ * @returns {string} Title to send
+ */
+function draftTitle(title, draft) {
+  return draft ? `Draft: ${title}` : title;
+}
+
+/**
+ * Create the GitLab provider, which drives the GitLab CLI (glab)
+ *
+ * Merge requests are GitLab's pull requests, and are called that in its output.
+ * @returns {Object} Code host provider (see ./index)
+ */
+function createProvider() {
+  let auth = null;
+
+  return {
+    id: 'gitlab',
+    name: 'GitLab',
+    opensPullRequests: true,
+    loginHint: 'Run \'glab auth login\' first.',
+
+    checkAuth() {
+      if (!auth) {
+        auth = runCli('glab', ['auth', 'status']).then(() => true, () => false);
+      }
+      return auth;
+    },
+
+    async defaultBranch(repoDir) {
+      try {
+        return JSON.parse(await runCli('glab', ['repo', 'view', '--output', 'json'], repoDir)).default_branch || null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async findPullRequest(repoDir, branch) {
+      let mergeRequests;
+      try {
+        mergeRequests = JSON.parse(await runCli('glab', ['mr', 'list', '--source-branch', branch, '--output', 'json'], repoDir));
+      } catch (error) {
+        return null;
+      }
+
+      return Array.isArray(mergeRequests) && mergeRequests.length ? toPullRequest(mergeRequests[0]) : null;
+    },
+
+    async createPullRequest(repoDir, { title, body, base, head, draft }) {
+      return toPullRequest(await sendMergeRequest(repoDir, 'POST', 'projects/:id/merge_requests', {
+        title: draftTitle(title, draft),
+        description: body,
+        source_branch: head,
+        target_branch: base
+      }));
+    },
+
+    async updatePullRequest(repoDir, pr, { title, body }) {
+      await sendMergeRequest(repoDir, 'PUT', `projects/:id/merge_requests/${pr.id}`, {
+        title: draftTitle(title, pr.isDraft),
+        description: body
+      });
+    },
+
+    async setDraft(repoDir, pr, draft) {
+      await runCli('glab', ['mr', 'update', pr.id, draft ? '--draft' : '--ready'], repoDir);
+    },
+
+    async addLabels(repoDir, pr, labels) {
+      await runCli('glab', ['mr', 'update', pr.id, '--label', labels.join(',')], repoDir);
+    },
+
+    async removeLabels(repoDir, pr, labels) {
+      await runCli('glab', ['mr', 'update', pr.id, '--unlabel', labels.join(',')], repoDir);
+    },
+
+    async requestReviewers(repoDir, pr, reviewers) {
+      await runCli('glab', ['mr', 'update', pr.id, '--reviewer', reviewers.map((reviewer) => `+${reviewer}`).join(',')], repoDir);
+    },
+
+    async addAssignees(repoDir, pr, assignees) {
+      await runCli('glab', ['mr', 'update', pr.id, '--assignee', assignees.map((assignee) => `+${assignee}`).join(',')], repoDir);
+    },
+
+    async setMilestone(repoDir, pr, milestone) {
+      await runCli('glab', ['mr', 'update', pr.id, '--milestone', milestone], repoDir);
+    },
+
+    async commentOnPullRequest(repoDir, pr, comment) {
+      await runCli('glab', ['mr', 'note', pr.id, '--message', comment], repoDir);
+    },
+
+    async closePullRequest(repoDir, pr) {
+      await runCli('glab', ['mr', 'close', pr.id], repoDir);
+    }
+  };
+}
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,87 @@
+const { readCommand } = require('../git');
+
+/**
+ * Code host providers, keyed by id
+ *
+ * Every provider is an object with:
+ * - `id`, `name` and `loginHint` (what to do when checkAuth fails)
+ * - `opensPullRequests`: false for push-only providers, which only implement
+ *   checkAuth, defaultBranch and findPullRequest
+ * - `checkAuth()`: resolves to whether the user is logged in
+ * - `defaultBranch(repoDir)`: resolves to the default branch, or null
+ * - `findPullRequest(repoDir, branch)`: resolves to the open PR for a head branch, or null
+ * - `createPullRequest(repoDir, {title, body, base, head, draft})`: resolves to the new PR
+ * - `updatePullRequest(repoDir, pr, {title, body})`
+ * - `setDraft(repoDir, pr, draft)`
+ * - `addLabels(repoDir, pr, labels)` and `removeLabels(repoDir, pr, labels)`
+ * - `requestReviewers(repoDir, pr, reviewers)` and `addAssignees(repoDir, pr, assignees)`
+ * - `setMilestone(repoDir, pr, milestone)`
+ * - `commentOnPullRequest(repoDir, pr, comment)` and `closePullRequest(repoDir, pr)`, which closes it without merging
+ *
+ * PRs are `{id, url, isDraft, labels}` objects. Methods that change something
+ * reject with an Error saying why if they fail.
+ */
+const PROVIDERS = {
+  github: require('./github'),
+  gitlab: require('./gitlab'),
+  bitbucket: require('./bitbucket'),
+  none: require('./none'),
+  file: require('./file')
+};
+
+/**
+ * Guess the provider from a remote URL
+ *
+ * Hosts that aren't recognisably GitLab or Bitbucket are treated as GitHub,
+ * which covers GitHub Enterprise.
+ * @param {string|null} remoteUrl - URL of the origin remote
+ * @returns {string} Provider id
+ */
+function detectProviderId(remoteUrl) {
+  if (/gitlab/i.test(remoteUrl || '')) {
+    return 'gitlab';
+  }
+  if (/bitbucket\.org/i.test(remoteUrl || '')) {
+    return 'bitbucket';
+  }
+  return 'github';
+}
+
+/**
+ * Create a function that returns the provider for each repository
+ *
+ * Providers are created once per run and shared between repositories, so
+ * each one only checks authentication once.
+ * @param {Object} [options] - Options object
+ * @param {string} [options.provider] - Provider id to use for every repository instead of detecting it
+ * @param {string} [options.providerFile] - Pull request file for the "file" provider
+ * @param {string} [options.cwd] - Directory the pull request file is relative to (default: the current directory)
+ * @returns {Function} async (repoDir, [providerId]) => provider, with providerId overriding the detection
+ */
+function createProviderResolver(options = {}) {
+  const providers = {};
+
+  const getProvider = (id) => {
+    if (!PROVIDERS[id]) {
+      throw new Error(`Unknown code host provider: ${id}. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (!providers[id]) {
+      providers[id] = PROVIDERS[id].createProvider({ file: options.providerFile, cwd: options.cwd });
+    }
+    return providers[id];
+  };
+
+  return async (repoDir, providerId) => {
+    const id = providerId || options.provider;
+    if (id) {
+      return getProvider(id);
+    }
+    return getProvider(detectProviderId(await readCommand('git', ['remote', 'get-url', 'origin'], repoDir)));
+  };
+}
+
+module.exports = {
+  PROVIDER_IDS: Object.keys(PROVIDERS),
+  detectProviderId,
+  createProviderResolver
+};
@@ -0,0 +1,30 @@
+/**
+ * Create the push-only provider, for hosts without PR support or when PRs are opened by hand
+ *
+ * Branches are still pushed; no pull request is looked up or opened.
+ * @returns {Object} Code host provider (see ./index)
+ */
+function createProvider() {
+  return {
+    id: 'none',
+    name: 'push only',
+    opensPullRequests: false,
+    loginHint: '',
+
+    async checkAuth() {
+      return true;
+    },
+
+    async defaultBranch() {
+      return null;
+    },
+
+    async findPullRequest() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run a code host CLI and return its trimmed stdout
+ * @param {string} cmd - Executable, e.g. "gh" or "glab"
+ * @param {string[]} args - Arguments
+ * @param {string} [cwd] - Repository directory
+ * @returns {Promise<string>} stdout, rejecting with the CLI's last line of stderr if it fails
+ */
+async function runCli(cmd, args, cwd) {
+  try {
+    const { stdout } = await execFileAsync(cmd, args, { cwd, maxBuffer: 16 * 1024 * 1024 });
+    return stdout.trim();
+  } catch (error) {
+    const message = (error.stderr || '').trim().split('\n').pop();
+    throw new Error(message || `${cmd} ${args[0]} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Write text to a temporary file for the duration of a call
+ *
+ * PR bodies and commit messages go through a file because they may contain
+ * command output or quotes that are too long, or too awkward, to pass as an argument.
+ * @param {string} text - File contents
+ * @param {Function} fn - Async function called with the file path
+ * @returns {Promise<*>} Whatever fn returns
+ */
+async function withTempFile(text, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upgrade-'));
+  const file = path.join(dir, 'pr-body.md');
+  fs.writeFileSync(file, text);
+
+  try {
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Get the last URL in some CLI output, which is where gh and glab print a new PR's URL
+ * @param {string} output - CLI output
+ * @returns {string|null} URL, or null if there is none
+ */
+function lastUrl(output) {
+  const urls = output.match(/https?:\/\/\S+/g) || [];
+  return urls.length ? urls[urls.length - 1] : null;
+}
+
+module.exports = {
+  runCli,
+  withTempFile,
+  lastUrl
+};
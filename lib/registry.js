@@ -0,0 +1,136 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const semver = require('semver');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Get a one-line reason from a failed `npm view --json` call
+ *
+ * npm reports errors as JSON on stdout when --json is set, and may print
+ * nothing at all (e.g. when the registry can't be reached).
+ * @param {Error} error - Error from execFile
+ * @returns {string} Short description of what went wrong
+ */
+function npmErrorSummary(error) {
+  try {
+    const { error: npmError } = JSON.parse(error.stdout);
+    if (npmError && npmError.summary) {
+      return npmError.summary;
+    }
+  } catch (parseError) {
+    // Not JSON, fall through
+  }
+
+  return `npm view exited with code ${error.code}`;
+}
+
+/**
+ * Fetch the published versions and dist-tags of a package with `npm view`
+ * @param {string} pkg - Package name
+ * @param {string} [registry] - Registry URL, defaults to the one npm is configured with
+ * @returns {Promise<{versions: string[], distTags: Object}>} Published versions and dist-tags
+ */
+async function fetchPackageInfo(pkg, registry) {
+  const args = ['view', pkg, 'versions', 'dist-tags', '--json'];
+  if (registry) {
+    args.push('--registry', registry);
+  }
+
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync('npm', args, { maxBuffer: 64 * 1024 * 1024 }));
+  } catch (error) {
+    throw new Error(npmErrorSummary(error));
+  }
+
+  const info = JSON.parse(stdout);
+
+  return {
+    versions: [].concat(info.versions || []),
+    distTags: info['dist-tags'] || {}
+  };
+}
+
+/**
+ * Resolve a target (exact version, semver range or dist-tag) to a published version
+ * @param {string} target - Target given by the user, e.g. "^18.0.0", "18.x" or "latest"
+ * @param {{versions: string[], distTags: Object}} info - Package info from fetchPackageInfo
+ * @returns {string|null} Concrete version, or null if nothing matches
+ */
+function resolveVersion(target, info) {
+  if (info.distTags[target]) {
+    return info.distTags[target];
+  }
+
+  if (semver.validRange(target)) {
+    return semver.maxSatisfying(info.versions, target);
+  }
+
+  return null;
+}
+
+/**
+ * Create a resolver that turns targets into the version spec to write to package.json
+ *
+ * Registry lookups are cached, so each package is only looked up once per run.
+ * @param {Object} [options] - Options object
+ * @param {string} [options.registry] - Registry URL
+ * @param {boolean} [options.saveExact] - Write the exact resolved version
+ * @param {string} [options.savePrefix] - Write the resolved version with this prefix (e.g. "^" or "~")
+ * @returns {Function} async (pkg, target) => {version, spec}, rejecting if the target can't be resolved
+ */
+function createVersionResolver(options = {}) {
+  const { registry, saveExact = false, savePrefix } = options;
+  const lookups = new Map();
+
+  const lookup = (pkg) => {
+    if (!lookups.has(pkg)) {
+      lookups.set(pkg, fetchPackageInfo(pkg, registry));
+    }
+    return lookups.get(pkg);
+  };
+
+  return async (pkg, target) => {
+    const isRange = Boolean(semver.validRange(target));
+    const keepRange = isRange && !saveExact && savePrefix === undefined;
+
+    let info;
+    try {
+      info = await lookup(pkg);
+    } catch (error) {
+      // Plain ranges can still be compared without the registry
+      if (keepRange) {
+        return { version: null, spec: target };
+      }
+      throw new Error(`Could not look up ${pkg} on the registry: ${error.message}`);
+    }
+
+    const version = resolveVersion(target, info);
+    if (!version) {
+      throw new Error(isRange ?
+        `No published version of ${pkg} satisfies ${target}` :
+        `${target} is neither a semver range nor a dist-tag of ${pkg}`);
+    }
+
+    let spec;
+    if (saveExact) {
+      spec = version;
+    } else if (savePrefix !== undefined) {
+      spec = `${savePrefix}${version}`;
+    } else if (keepRange) {
+      spec = target;
+    } else {
+      // Dist-tags are written the way `npm install pkg@tag` would save them
+      spec = `^${version}`;
+    }
+
+    return { version, spec };
+  };
+}
+
+module.exports = {
+  fetchPackageInfo,
+  resolveVersion,
+  createVersionResolver
+};
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const yaml = require('js-yaml');
+
+/**
+ * Changelog file names looked for in an installed package, in order
+ */
+const CHANGELOG_FILES = ['CHANGELOG.md', 'changelog.md', 'Changelog.md', 'HISTORY.md', 'History.md', 'CHANGES.md'];
+
+/**
+ * Most changelog lines quoted per package, so a big jump doesn't swamp the PR
+ */
+const CHANGELOG_LINES = 40;
+
+/**
+ * Get the package name from a lockfile descriptor such as "@scope/name@npm:^1.0.0"
+ * @param {string} descriptor - Package descriptor
+ * @returns {string} Package name
+ */
+function descriptorName(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  return at === -1 ? descriptor : descriptor.slice(0, at);
+}
+
+/**
+ * Create a collector for the versions of packages found in a lockfile
+ * @param {string[]|null} packages - Packages to look for, or null for every package
+ * @returns {{add: Function, found: Object}} add(name, version) to record a locked copy,
+ *   and the Sets of versions recorded, keyed by package
+ */
+function createCollector(packages) {
+  const found = {};
+  for (const pkg of packages || []) {
+    found[pkg] = new Set();
+  }
+
+  return {
+    found,
+    add: (name, version) => {
+      if (!packages) {
+        found[name] = found[name] || new Set();
+      }
+      if (found[name] && version) {
+        found[name].add(version);
+      }
+    }
+  };
+}
+
+/**
+ * Collect the versions of packages locked in a package-lock.json
+ * @param {Object} lock - Parsed lockfile
+ * @param {Function} add - Called with (name, version) for each locked copy
+ */
+function fromPackageLock(lock, add) {
+  // lockfileVersion 2 and 3 key every installed copy by its node_modules path
+  for (const [key, entry] of Object.entries(lock.packages || {})) {
+    if (key.includes('node_modules/')) {
+      add(key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length), entry.version);
+    }
+  }
+
+  // lockfileVersion 1 nests dependencies of dependencies
+  const walk = (dependencies) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      add(name, entry.version);
+      walk(entry.dependencies);
+    }
+  };
+  if (!lock.packages) {
+    walk(lock.dependencies);
+  }
+}
+
+/**
+ * Collect the versions of packages locked in a yarn.lock, classic or berry
+ * @param {string} text - Lockfile contents
+ * @param {Function} add - Called with (name, version) for each locked copy
+ */
+function fromYarnLock(text, add) {
+  let names = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\S.*:$/.test(line) && !line.startsWith('#')) {
+      // e.g. `"react@^17.0.0", react@^17.0.2:` or `"react@npm:^18.0.0":`
+      names = line.slice(0, -1).split(',').map((descriptor) => descriptorName(descriptor.trim().replace(/^"|"$/g, '')));
+      continue;
+    }
+
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+    if (version) {
+      for (const name of new Set(names)) {
+        add(name, version[1]);
+      }
+      names = [];
+    }
+  }
+}
+
+/**
+ * Collect the versions of packages locked in a pnpm-lock.yaml
+ * @param {Object} lock - Parsed lockfile
+ * @param {Function} add - Called with (name, version) for each locked copy
+ */
+function fromPnpmLock(lock, add) {
+  for (const key of Object.keys(lock.packages || {})) {
+    // "/react/17.0.2" (v5), "/react@17.0.2(peer@1.0.0)" (v6) or "react@17.0.2" (v9)
+    const match = key.replace(/^\//, '').match(/^((?:@[^/]+\/)?[^@/]+)[@/]([^(_/]+)/);
+    if (match) {
+      add(match[1], match[2]);
+    }
+  }
+}
+
+/**
+ * Work out which versions of packages a lockfile's contents resolve to
+ * @param {string} text - Lockfile contents
+ * @param {string} lockfile - Lockfile name, e.g. "package-lock.json"
+ * @param {string[]|null} [packages] - Packages to look for, or null for every package in the lockfile
+ * @returns {Object} Sorted versions keyed by package, empty for packages not in the lockfile
+ * @throws {Error} If the lockfile can't be parsed
+ */
+function parseLockedVersions(text, lockfile, packages = null) {
+  const { add, found } = createCollector(packages);
+  if (lockfile === 'package-lock.json') {
+    fromPackageLock(JSON.parse(text), add);
+  } else if (lockfile === 'pnpm-lock.yaml') {
+    fromPnpmLock(yaml.load(text) || {}, add);
+  } else {
+    fromYarnLock(text, add);
+  }
+
+  const versions = {};
+  for (const [pkg, locked] of Object.entries(found)) {
+    const valid = [...locked].filter((version) => semver.valid(version)).sort(semver.compare);
+    // Looking at every package, leave out entries that aren't packages (workspace links, Yarn's __metadata)
+    if (packages || valid.length) {
+      versions[pkg] = valid;
+    }
+  }
+  return versions;
+}
+
+/**
+ * Read which versions of some packages a lockfile resolves to
+ * @param {string} repoDir - Repository directory
+ * @param {string} lockfile - Lockfile name, e.g. "package-lock.json"
+ * @param {string[]} packages - Packages to look for
+ * @returns {Object} Sorted versions keyed by package, empty for packages not in the lockfile
+ *   (or all of them if there is no readable lockfile)
+ */
+function readLockedVersions(repoDir, lockfile, packages) {
+  const lockfilePath = path.join(repoDir, lockfile);
+  try {
+    if (fs.existsSync(lockfilePath)) {
+      return parseLockedVersions(fs.readFileSync(lockfilePath, 'utf8'), lockfile, packages);
+    }
+  } catch (error) {
+    // An unreadable lockfile just means the PR body has no locked versions
+  }
+
+  return Object.fromEntries(packages.map((pkg) => [pkg, []]));
+}
+
+/**
+ * Read an installed package's package.json
+ * @param {string[]} dirs - Directories whose node_modules may hold the package, nearest first
+ * @param {string} pkg - Package name
+ * @returns {{dir: string, manifest: Object}|null} Package directory and manifest, or null if it isn't installed
+ */
+function findInstalledPackage(dirs, pkg) {
+  for (const dir of dirs) {
+    const packageDir = path.join(dir, 'node_modules', pkg);
+    try {
+      return { dir: packageDir, manifest: JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')) };
+    } catch (error) {
+      // Not installed here, try the next directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the web URL of a package's source repository from its package.json
+ * @param {Object} manifest - Package manifest
+ * @returns {string|null} e.g. "https://github.com/facebook/react", or null if it has none
+ */
+function repositoryUrl(manifest) {
+  const repository = typeof manifest.repository === 'string' ? manifest.repository : (manifest.repository || {}).url;
+  if (!repository) {
+    return null;
+  }
+
+  // Shorthands: "facebook/react", "github:facebook/react", "gitlab:group/project"
+  const shorthand = repository.match(/^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/);
+  if (shorthand) {
+    const host = { github: 'github.com', gitlab: 'gitlab.com', bitbucket: 'bitbucket.org' }[shorthand[1] || 'github'];
+    return `https://${host}/${shorthand[2].replace(/\.git$/, '')}`;
+  }
+
+  // git+https://, git://, git+ssh://git@ and scp-like git@host: URLs
+  const url = repository.match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)[:/](.+?)(?:\.git)?\/?$/);
+  return url ? `https://${url[1]}/${url[2]}` : null;
+}
+
+/**
+ * Get a link comparing two releases of a package in its source repository
+ *
+ * Tags are guessed: "v1.2.3" for a repository of its own, "name@1.2.3" for a
+ * package in a monorepo. Only GitHub and GitLab have a compare view to link to.
+ * @param {Object} manifest - Package manifest
+ * @param {string} from - Previous version
+ * @param {string} to - New version
+ * @returns {string|null} Compare URL, the repository URL if there is no compare view, or null
+ */
+function compareUrl(manifest, from, to) {
+  const repoUrl = repositoryUrl(manifest);
+  if (!repoUrl) {
+    return null;
+  }
+
+  const inMonorepo = manifest.repository && manifest.repository.directory;
+  const tag = (version) => (inMonorepo ? `${manifest.name}@${version}` : `v${version}`);
+  if (/^https:\/\/github\.com\//.test(repoUrl)) {
+    return `${repoUrl}/compare/${tag(from)}...${tag(to)}`;
+  }
+  if (/^https:\/\/gitlab\./.test(repoUrl)) {
+    return `${repoUrl}/-/compare/${tag(from)}...${tag(to)}`;
+  }
+  return repoUrl;
+}
+
+/**
+ * Quote the sections of a changelog for the versions after `from` up to `to`
+ *
+ * Sections start at headings that contain a version, e.g. "## [18.3.0] - 2024-04-25".
+ * @param {string} text - Changelog contents
+ * @param {string} from - Previous version (excluded)
+ * @param {string} to - New version (included)
+ * @returns {string|null} Markdown excerpt, cut to CHANGELOG_LINES lines, or null if no section matched
+ */
+function extractChangelog(text, from, to) {
+  const excerpt = [];
+  let inRange = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    // Headings without a version ("### Bug Fixes") belong to the section they're in
+    const heading = line.match(/^#+\s.*?v?(\d+\.\d+\.\d+(?:-[\w.]+)?)/);
+    if (heading) {
+      inRange = semver.valid(heading[1]) !== null && semver.gt(heading[1], from) && semver.lte(heading[1], to);
+    }
+    if (inRange) {
+      excerpt.push(line);
+    }
+  }
+
+  while (excerpt.length && !excerpt[excerpt.length - 1].trim()) {
+    excerpt.pop();
+  }
+  if (!excerpt.length) {
+    return null;
+  }
+  if (excerpt.length > CHANGELOG_LINES) {
+    excerpt.splice(CHANGELOG_LINES, excerpt.length, '', '_Changelog cut short, see the full changelog for more._');
+  }
+  return excerpt.join('\n');
+}
+
+/**
+ * Read the changelog excerpt for an update from an installed package
+ * @param {string} packageDir - Installed package directory
+ * @param {string} from - Previous version
+ * @param {string} to - New version
+ * @returns {string|null} Excerpt, or null if the package has no changelog or it doesn't cover these versions
+ */
+function readChangelog(packageDir, from, to) {
+  for (const name of CHANGELOG_FILES) {
+    const file = path.join(packageDir, name);
+    if (fs.existsSync(file)) {
+      return extractChangelog(fs.readFileSync(file, 'utf8'), from, to);
+    }
+  }
+  return null;
+}
+
+/**
+ * Tell whether going from one version to another may break things: a new
+ * major version, or a new minor version while still at 0.x
+ * @param {string} from - Previous version
+ * @param {string} to - New version
+ * @returns {boolean} true if it's a breaking update under semver
+ */
+function isBreaking(from, to) {
+  if (semver.major(to) > semver.major(from)) {
+    return true;
+  }
+  return semver.major(to) === 0 && semver.minor(to) > semver.minor(from);
+}
+
+/**
+ * Format release notes for the packages updated in a repository, for the PR body
+ *
+ * For each package: the locked versions before and after, a compare link, a
+ * warning for breaking updates and the changelog entries in between, as far as
+ * the lockfile and the installed package tell. Packages whose version didn't
+ * change (only the range in package.json did) are left out.
+ * @param {Object[]} updates - One per package: {pkg, before, after} with the sorted locked versions
+ *   (see readLockedVersions) and {range} with the version range it was updated from
+ * @param {string[]} dirs - Directories whose node_modules hold the installed packages, nearest first
+ * @param {Object} [options] - Options object
+ * @param {boolean} [options.lockfileOnly] - Only the lockfile was updated, so node_modules holds the old
+ *   versions (if any): new versions come from the lockfile alone, and changelogs are said to be unavailable
+ * @returns {string} Markdown, or an empty string if there is nothing to say
+ */
+function formatReleaseNotes(updates, dirs, { lockfileOnly = false } = {}) {
+  const sections = [];
+
+  for (const { pkg, before, after, range } of updates) {
+    const installed = findInstalledPackage(dirs, pkg);
+    const fromRange = semver.validRange(range) ? semver.minVersion(range) : null;
+    const from = before.length ? before[before.length - 1] : (fromRange && fromRange.version);
+    const to = after.length ? after[after.length - 1] : (!lockfileOnly && installed && installed.manifest.version);
+    if (!from || !to || !semver.valid(from) || !semver.valid(to) || semver.eq(from, to)) {
+      continue;
+    }
+
+    // Without a lockfile entry, fall back to the range it was updated from and the installed version
+    const lines = [`### ${pkg}`, ''];
+    const versions = (list, fallback) => (list.length ? list : [fallback]).map((version) => `\`${version}\``).join(', ');
+    lines.push(`Version: ${versions(before, range)} → ${versions(after, to)}`);
+
+    const link = installed && compareUrl(installed.manifest, from, to);
+    if (link) {
+      lines.push('', `Compare: ${link}`);
+    }
+
+    if (semver.gt(to, from) && isBreaking(from, to)) {
+      const kind = semver.major(to) > semver.major(from) ? 'a new major version' : 'a breaking 0.x minor release';
+      lines.push('', '> [!WARNING]', `> **Breaking:** ${pkg} ${from} → ${to} is ${kind} and may contain breaking changes.`);
+    }
+
+    // node_modules may still hold the old version when only the lockfile was updated
+    const changelog = installed && installed.manifest.version === to && semver.gt(to, from) && readChangelog(installed.dir, from, to);
+    if (changelog) {
+      lines.push('', '<details>', `<summary>Changelog ${from} → ${to}</summary>`, '', changelog, '', '</details>');
+    } else if (lockfileOnly && semver.gt(to, from)) {
+      lines.push('', `_Changelog unavailable: only the lockfile was updated, so ${pkg} ${to} wasn't installed to read it from._`);
+    }
+
+    sections.push(lines.join('\n'));
+  }
+
+  return sections.length ? `## Release notes\n\n${sections.join('\n\n')}\n\n` : '';
+}
+
+module.exports = {
+  parseLockedVersions,
+  readLockedVersions,
+  repositoryUrl,
+  compareUrl,
+  extractChangelog,
+  isBreaking,
+  formatReleaseNotes
+};
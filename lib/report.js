@@ -0,0 +1,127 @@
+/**
+ * Report formats accepted by formatReport
+ */
+const REPORT_FORMATS = ['json', 'markdown'];
+
+/**
+ * Format a duration in milliseconds as e.g. "1m 05s" or "12.3s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human readable duration
+ */
+function formatDuration(ms) {
+  // Round first, so 59.96s isn't shown as "60.0s" and 119.6s as "1m 60s"
+  const tenths = Math.round(ms / 100);
+  if (tenths < 600) {
+    return `${(tenths / 10).toFixed(1)}s`;
+  }
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Describe the outcome of one repository in a few words
+ * @param {Object} result - Repository result from updateRepo
+ * @returns {string} e.g. "Updated", "Up to date" or "Failed at install"
+ */
+function describeOutcome(result) {
+  if (!result.success) {
+    return `Failed at ${result.failedStep}`;
+  }
+  const pr = [result.prAction === 'updated' && 'existing PR', result.draft && 'draft'].filter(Boolean);
+  return {
+    updated: pr.length ? `Updated (${pr.join(', ')})` : 'Updated',
+    unchanged: 'Up to date',
+    skipped: 'Skipped in review',
+    planned: result.updated.length ? 'Would update' : 'Nothing to update'
+  }[result.status] || result.status;
+}
+
+/**
+ * Escape text for use inside a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text with pipes and newlines escaped
+ */
+function tableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Format a run result as Markdown, e.g. for a release channel or a CI summary
+ * @param {Object} run - Run result from updatePackages
+ * @returns {string} Markdown report
+ */
+function formatMarkdownReport(run) {
+  const failed = run.results.filter((result) => !result.success).length;
+  const lines = [
+    `# ${run.dryRun ? 'Package upgrade plan' : 'Package upgrade report'}`,
+    '',
+    `Packages: ${run.packages.map(({ name, version }) => `\`${name}@${version}\``).join(', ')}`,
+    '',
+    `Started ${run.startedAt}, took ${formatDuration(run.durationMs)}. ` +
+      `${run.results.length - failed} of ${run.results.length} repositories succeeded.`
+  ];
+
+  if (run.error) {
+    lines.push('', `**The run could not start:** ${run.error}`);
+  }
+
+  if (run.results.length) {
+    lines.push('', '| Repository | Outcome | Branch | Pull request | Duration |', '|---|---|---|---|---|');
+    for (const result of run.results) {
+      lines.push(`| ${[
+        tableCell(result.repo),
+        tableCell(describeOutcome(result)),
+        result.branch ? `\`${tableCell(result.branch)}\`` : '',
+        result.prUrl ? `[${tableCell(result.prUrl)}](${result.prUrl})` : '',
+        formatDuration(result.durationMs)
+      ].join(' | ')} |`);
+    }
+  }
+
+  for (const result of run.results) {
+    lines.push('', `## ${result.repo}`, '');
+
+    if (!result.success) {
+      lines.push(`- **Failed at \`${result.failedStep}\`:** ${result.error}`);
+    }
+    for (const { pkg, from, to, section, manifest } of result.updated) {
+      const where = manifest && manifest !== 'package.json' ? `${manifest}, ${section}` : section;
+      // Overrides added for transitive copies have no version before
+      lines.push(from === null ?
+        `- ${run.dryRun ? 'Would add' : 'Added'} \`${pkg}\` at \`${to}\` (${where})` :
+        `- ${run.dryRun ? 'Would update' : 'Updated'} \`${pkg}\` from \`${from}\` to \`${to}\` (${where})`);
+    }
+    for (const { pkg, reason, manifest } of result.skipped) {
+      const where = manifest && manifest !== 'package.json' ? ` in ${manifest}` : '';
+      lines.push(`- Skipped \`${pkg}\`${where}: ${reason}`);
+    }
+    if (result.success && !result.updated.length && !result.skipped.length) {
+      lines.push('- Nothing to report');
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a run result as a report
+ * @param {Object} run - Run result from updatePackages
+ * @param {string} format - "json" or "markdown"
+ * @returns {string} Report text
+ */
+function formatReport(run, format) {
+  if (format === 'markdown') {
+    return formatMarkdownReport(run);
+  }
+  if (format === 'json') {
+    return `${JSON.stringify(run, null, 2)}\n`;
+  }
+  throw new Error(`Unknown report format: ${format}. Use one of: ${REPORT_FORMATS.join(', ')}`);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  formatReport,
+  formatMarkdownReport,
+  formatDuration
+};
@@ -0,0 +1,79 @@
+const { parseLockedVersions } = require('./release-notes');
+
+/**
+ * What someone reviewing a repository's changes can decide, see the review hook in createUpgrader
+ */
+const REVIEW_ACTIONS = ['accept', 'skip', 'edit', 'refresh'];
+
+/**
+ * Most packages listed per kind of lockfile change, so a big reshuffle doesn't bury the rest
+ */
+const LOCKFILE_SUMMARY_LINES = 20;
+
+/**
+ * Compare the packages two versions of a lockfile resolve to
+ * @param {string|null} before - Lockfile contents before the update, or null if there was no lockfile
+ * @param {string|null} after - Lockfile contents after the update, or null if there is none
+ * @param {string} lockfile - Lockfile name, e.g. "package-lock.json"
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}|null} Packages added and removed, with their
+ *   versions, and packages whose versions changed, with `from` and `to`, sorted by name; null if either side
+ *   can't be parsed
+ */
+function compareLockfiles(before, after, lockfile) {
+  let beforeVersions;
+  let afterVersions;
+  try {
+    beforeVersions = before ? parseLockedVersions(before, lockfile) : {};
+    afterVersions = after ? parseLockedVersions(after, lockfile) : {};
+  } catch (error) {
+    return null;
+  }
+
+  const changes = { added: [], removed: [], changed: [] };
+  const names = [...new Set([...Object.keys(beforeVersions), ...Object.keys(afterVersions)])].sort();
+  for (const pkg of names) {
+    const from = beforeVersions[pkg];
+    const to = afterVersions[pkg];
+    if (!from) {
+      changes.added.push({ pkg, versions: to });
+    } else if (!to) {
+      changes.removed.push({ pkg, versions: from });
+    } else if (from.join() !== to.join()) {
+      changes.changed.push({ pkg, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Describe lockfile changes in a few lines each
+ * @param {Object|null} changes - Changes from compareLockfiles
+ * @param {number} [limit] - Most packages to list of each kind
+ * @returns {string[]} Lines such as "+ semver 7.8.5", "- lru-cache 6.0.0" and "~ yallist 4.0.0 → 5.0.0"
+ */
+function formatLockfileChanges(changes, limit = LOCKFILE_SUMMARY_LINES) {
+  if (!changes) {
+    return ['The lockfile could not be read'];
+  }
+
+  const kinds = [
+    [changes.added, ({ pkg, versions }) => `+ ${pkg} ${versions.join(', ')}`],
+    [changes.removed, ({ pkg, versions }) => `- ${pkg} ${versions.join(', ')}`],
+    [changes.changed, ({ pkg, from, to }) => `~ ${pkg} ${from.join(', ')} → ${to.join(', ')}`]
+  ];
+
+  const lines = [`${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`];
+  for (const [entries, describe] of kinds) {
+    lines.push(...entries.slice(0, limit).map(describe));
+    if (entries.length > limit) {
+      lines.push(`  ...and ${entries.length - limit} more`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  compareLockfiles,
+  formatLockfileChanges
+};
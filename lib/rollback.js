@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { createCheckout, isRemoteRepo } = require('./checkout');
+const { createProviderResolver } = require('./providers');
+const {
+  readCommand,
+  detectDefaultBranch,
+  getUncommittedChanges,
+  getCurrentRef,
+  getRemoteBranchSha
+} = require('./git');
+const { validateBranchName } = require('./validate');
+
+/**
+ * Comment left on each pull request a rollback closes, when no other is given
+ */
+const DEFAULT_ROLLBACK_COMMENT = 'Closing this pull request: the batch-upgrade-npm-packages campaign that opened it was rolled back.';
+
+/**
+ * Create the result object rollbackRepo fills in for one repository
+ * @param {string} repoPath - Repository path
+ * @param {boolean} dryRun - Whether the actions are only planned
+ * @returns {Object} Result with repo, success, dryRun, prUrl (the PR found for the branch, if any),
+ *   actions (what was done, or would be in a dry run) and error
+ */
+function createRollbackResult(repoPath, dryRun) {
+  return {
+    repo: repoPath,
+    success: false,
+    dryRun,
+    prUrl: null,
+    actions: [],
+    error: null
+  };
+}
+
+/**
+ * Undo what a campaign did in one repository: close its PR, delete its branch
+ * on origin and locally, and put the checkout back the way it was
+ * @param {string} repoPath - Repository path, `org/repo` slug or git URL
+ * @param {Object} options - Options object
+ * @param {string} options.branchName - The campaign's branch
+ * @param {Object} [options.entry] - The repository's entry in the campaign's run state, for the
+ *   provider, base branch and original branch it recorded
+ * @param {boolean} [options.dryRun] - Only report what would be done
+ * @param {string} options.comment - Comment to leave on the PR before closing it
+ * @param {Function} options.resolveProvider - Provider resolver from createProviderResolver
+ * @param {string} [options.cloneBase] - URL or directory `org/repo` slugs are cloned from
+ * @param {string} options.cwd - Directory a local repository path is relative to
+ * @param {Object} logger - Where to log progress
+ * @returns {Promise<Object>} Rollback result (see createRollbackResult)
+ */
+async function rollbackRepo(repoPath, options, logger) {
+  const { branchName, entry = {}, dryRun, comment, resolveProvider, cloneBase, cwd } = options;
+  const result = createRollbackResult(repoPath, dryRun);
+
+  // Log an error and record it as the reason the rollback failed
+  const fail = (message) => {
+    logger.error(chalk.red(`Error: ${message}`));
+    return Object.assign(result, { success: false, error: message });
+  };
+
+  // Record something done, or in a dry run something that would be
+  const act = (planned, done) => {
+    const action = dryRun ? `Would ${planned}` : done;
+    logger.log((dryRun ? chalk.blue : chalk.green)(`  - ${action}`));
+    result.actions.push(action);
+  };
+
+  logger.log(chalk.cyan(`\nRolling back ${repoPath}:`));
+
+  // Remote repositories only need a throwaway clone to talk to the code host and push from
+  const remote = isRemoteRepo(repoPath, cwd);
+  let checkout = null;
+  try {
+    try {
+      checkout = remote ? await createCheckout(repoPath, { cloneBase, cwd }, logger) : null;
+    } catch (error) {
+      return fail(error.message);
+    }
+    const repoDir = checkout ? checkout.dir : path.resolve(cwd, repoPath);
+
+    if (!fs.existsSync(repoDir) || (await getCurrentRef(repoDir)) === null) {
+      return fail(`${repoPath} is not a git repository`);
+    }
+
+    let provider;
+    try {
+      provider = await resolveProvider(repoDir, entry.provider);
+    } catch (error) {
+      return fail(error.message);
+    }
+    if (!dryRun && !(await provider.checkAuth())) {
+      return fail(`You are not logged in to ${provider.name}. ${provider.loginHint}`);
+    }
+
+    // Close the campaign's pull request, saying why
+    const pr = provider.opensPullRequests ? await provider.findPullRequest(repoDir, branchName) : null;
+    if (pr) {
+      result.prUrl = pr.url;
+      if (!dryRun) {
+        try {
+          await provider.commentOnPullRequest(repoDir, pr, comment);
+        } catch (error) {
+          logger.log(chalk.yellow(`  - Warning: Could not comment on ${pr.url} (${error.message})`));
+        }
+        try {
+          await provider.closePullRequest(repoDir, pr);
+        } catch (error) {
+          return fail(`Could not close ${pr.url}: ${error.message}`);
+        }
+      }
+      act(`close ${pr.url} with a comment`, `Closed ${pr.url}`);
+    } else if (provider.opensPullRequests) {
+      logger.log(chalk.yellow(`  - No open pull request for ${branchName}`));
+    }
+
+    // Delete the branch on origin. The lease makes sure nobody pushed to it since it was looked up
+    const remoteBranchSha = await getRemoteBranchSha(repoDir, branchName);
+    if (remoteBranchSha === null) {
+      return fail(`Could not reach origin for ${repoPath}`);
+    }
+    if (remoteBranchSha) {
+      if (!dryRun && (await readCommand('git', ['push', `--force-with-lease=refs/heads/${branchName}:${remoteBranchSha}`, 'origin', `:refs/heads/${branchName}`], repoDir)) === null) {
+        return fail(`Could not delete ${branchName} on origin for ${repoPath}`);
+      }
+      act(`delete ${branchName} on origin`, `Deleted ${branchName} on origin`);
+    } else {
+      logger.log(chalk.yellow(`  - ${branchName} is not on origin`));
+    }
+
+    // A throwaway clone has nothing else to clean up
+    if (!remote) {
+      const error = await rollbackCheckout(repoDir, { branchName, entry, dryRun, provider, act });
+      if (error) {
+        return fail(error);
+      }
+    }
+
+    result.success = true;
+    return result;
+  } finally {
+    if (checkout) {
+      await checkout.remove();
+    }
+  }
+}
+
+/**
+ * Put a local checkout back the way it was before a campaign, for a run that
+ * was interrupted before it could do so itself: switch back to the original
+ * branch, delete the campaign branch and pop the changes the run stashed
+ * @param {string} repoDir - Repository directory
+ * @param {Object} options - Options object
+ * @param {string} options.branchName - The campaign's branch
+ * @param {Object} options.entry - The repository's entry in the run state, possibly empty
+ * @param {boolean} options.dryRun - Only report what would be done
+ * @param {Object} options.provider - Code host provider, to detect the default branch
+ * @param {Function} options.act - Called with each action, as planned and as done, when it is done
+ * @returns {Promise<string|null>} Error message, or null if the checkout is clean
+ */
+async function rollbackCheckout(repoDir, options) {
+  const { branchName, entry, dryRun, provider, act } = options;
+
+  if ((await getCurrentRef(repoDir)) === branchName) {
+    let target = (entry.originalRef !== branchName && entry.originalRef) || entry.baseBranch;
+    if (!target) {
+      const detected = await detectDefaultBranch(repoDir, provider);
+      target = detected && detected.branch;
+    }
+    if (!target) {
+      return `Could not tell which branch to switch ${repoDir} back to from ${branchName}`;
+    }
+
+    // Changes on the branch could be the run's or someone's own work, so leave them be
+    const uncommittedChanges = await getUncommittedChanges(repoDir);
+    if (uncommittedChanges.length) {
+      return `${repoDir} has ${uncommittedChanges.length} uncommitted change(s) on ${branchName}. Commit or discard them, then roll back again.`;
+    }
+
+    if (!dryRun && (await readCommand('git', ['checkout', target], repoDir)) === null) {
+      return `Could not switch ${repoDir} back to ${target}`;
+    }
+    act(`switch back to ${target}`, `Switched back to ${target}`);
+  }
+
+  if ((await readCommand('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branchName}`], repoDir)) !== null) {
+    if (!dryRun && (await readCommand('git', ['branch', '-D', branchName], repoDir)) === null) {
+      return `Could not delete the local ${branchName} branch in ${repoDir}`;
+    }
+    act(`delete the local ${branchName} branch`, `Deleted the local ${branchName} branch`);
+  }
+
+  // Changes stashed by a run (see --on-dirty stash) that never got to pop them
+  const stashes = ((await readCommand('git', ['stash', 'list', '--format=%gd %gs'], repoDir)) || '').split('\n');
+  const stash = stashes.find((line) => line.endsWith(`: batch-upgrade-npm-${branchName}`));
+  if (stash) {
+    const ref = stash.split(' ')[0];
+    if (!dryRun && (await readCommand('git', ['stash', 'pop', ref], repoDir)) === null) {
+      return `Could not restore the changes stashed in ${ref} in ${repoDir}. They are still in \`git stash list\`.`;
+    }
+    act(`restore the changes the run stashed in ${ref}`, `Restored the changes the run stashed in ${ref}`);
+  }
+
+  return null;
+}
+
+/**
+ * Roll back a campaign in every repository it went through
+ *
+ * Repositories are rolled back one at a time, and one failing doesn't stop the others.
+ * @param {Object} options - Options object
+ * @param {string} options.branchName - The campaign's branch
+ * @param {string[]} options.repos - Repository paths, `org/repo` slugs or git URLs
+ * @param {Object} [options.entries] - Run state entries keyed by repository (see ./state), if the run's state is known
+ * @param {boolean} [options.dryRun] - Only list what would be done
+ * @param {string} [options.comment] - Comment to leave on each PR before closing it (see DEFAULT_ROLLBACK_COMMENT)
+ * @param {string} [options.provider] - Code host provider for repositories with no recorded provider, detected if not set
+ * @param {string} [options.providerFile] - Pull request file for the "file" provider
+ * @param {string} [options.cloneBase] - URL or directory `org/repo` slugs are cloned from
+ * @param {string} [options.cwd] - Directory relative repository and provider file paths are relative to
+ *   (default: the current directory)
+ * @param {Object} [options.logger] - Where to log progress (default: console)
+ * @returns {Promise<Object>} success (true only if every repository was rolled back), dryRun, branchName,
+ *   results (one per repository, see createRollbackResult) and error (if the rollback couldn't start)
+ */
+async function rollbackCampaign(options) {
+  const {
+    branchName,
+    repos = [],
+    entries = {},
+    dryRun = false,
+    comment = DEFAULT_ROLLBACK_COMMENT,
+    provider,
+    providerFile,
+    cloneBase,
+    cwd = process.cwd(),
+    logger = console
+  } = options;
+  const run = { success: false, dryRun, branchName, results: [], error: null };
+
+  // The branch name ends up in git commands and the stash lookup, so make sure it is one
+  run.error = await validateBranchName(branchName);
+  if (!run.error && !repos.length) {
+    run.error = 'No repositories to roll back.';
+  }
+  if (run.error) {
+    logger.error(chalk.red(`Error: ${run.error}`));
+    return run;
+  }
+
+  const resolveProvider = createProviderResolver({ provider, providerFile, cwd });
+  for (const repo of repos) {
+    run.results.push(await rollbackRepo(repo, {
+      branchName,
+      entry: entries[repo],
+      dryRun,
+      comment,
+      resolveProvider,
+      cloneBase,
+      cwd
+    }, logger));
+  }
+
+  logger.log(chalk.cyan('\nSummary:'));
+  for (const result of run.results) {
+    if (!result.success) {
+      logger.log(chalk.red(`${result.repo}: Failed (${result.error})`));
+    } else if (!result.actions.length) {
+      logger.log(chalk.green(`${result.repo}: Nothing to roll back`));
+    } else {
+      logger.log(chalk.green(`${result.repo}: ${result.actions.join('; ')}`));
+    }
+  }
+
+  run.success = run.results.every((result) => result.success);
+  return run;
+}
+
+module.exports = {
+  DEFAULT_ROLLBACK_COMMENT,
+  rollbackRepo,
+  rollbackCampaign
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * State file written to the current directory when --state-file isn't given
+ */
+const DEFAULT_STATE_FILE = '.batch-upgrade-state.json';
+
+/**
+ * Repository statuses that need no further work (a repository skipped in review was skipped on purpose)
+ */
+const FINISHED_STATUSES = ['updated', 'unchanged', 'skipped'];
+
+/**
+ * Steps a repository can pick up from, because the update commit already exists
+ */
+const RESUMABLE_STEPS = ['push', 'pr'];
+
+/**
+ * Create the state for a new run
+ * @param {Object} campaign - What the run updates: packages, versions and branchName
+ * @param {string[]} repos - Repository paths
+ * @param {Object} [previous] - State of an earlier run being resumed, whose repository entries are carried over
+ * @returns {Object} Run state
+ */
+function createState(campaign, repos, previous) {
+  const state = {
+    campaign,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    repos: previous ? { ...previous.repos } : {}
+  };
+
+  for (const repo of repos) {
+    state.repos[repo] = { ...state.repos[repo], status: 'pending' };
+  }
+
+  return state;
+}
+
+/**
+ * Write run state to disk
+ *
+ * The file is written next to its final path and renamed into place, so an
+ * interrupted run never leaves half a state file behind.
+ * @param {string} statePath - State file path
+ * @param {Object} state - Run state
+ */
+function saveState(statePath, state) {
+  state.updatedAt = new Date().toISOString();
+  const tempPath = path.join(path.dirname(statePath), `.${path.basename(statePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tempPath, `${JSON.stringify(state, null, 2)}\n`);
+  fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Load the state of an earlier run
+ * @param {string} statePath - State file path
+ * @returns {Object} Run state
+ */
+function loadState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    throw new Error(`No run state found at ${statePath}. Run without --resume or --retry-failed first.`);
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${statePath}: ${error.message}`);
+  }
+
+  if (!state || !state.campaign || !state.repos) {
+    throw new Error(`${statePath} is not a batch-upgrade-npm state file`);
+  }
+
+  return state;
+}
+
+/**
+ * Pick the repositories of an earlier run that should be run again
+ * @param {Object} state - Run state from loadState
+ * @param {string} mode - "resume" for every repository that didn't finish, "retry-failed" for failed ones only
+ * @returns {string[]} Repository paths
+ */
+function reposToRerun(state, mode) {
+  return Object.keys(state.repos).filter((repo) => {
+    const { status } = state.repos[repo];
+    return mode === 'retry-failed' ? status === 'failed' : !FINISHED_STATUSES.includes(status);
+  });
+}
+
+/**
+ * Work out where a repository can pick up from
+ * @param {Object} [entry] - The repository's entry in the run state
+ * @returns {Object|null} The entry if its update commit was made and only pushing or opening the PR is left, otherwise null
+ */
+function resumePoint(entry) {
+  if (!entry || !entry.commit || FINISHED_STATUSES.includes(entry.status)) {
+    return null;
+  }
+
+  // A run that was interrupted never recorded a failed step, only the one it was on
+  const step = entry.status === 'failed' ? entry.failedStep : entry.step;
+  return RESUMABLE_STEPS.includes(step) ? entry : null;
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE,
+  createState,
+  saveState,
+  loadState,
+  reposToRerun,
+  resumePoint
+};
@@ -0,0 +1,102 @@
+const semver = require('semver');
+const { readCommand } = require('./git');
+
+/**
+ * Longest package name the npm registry accepts
+ */
+const MAX_PACKAGE_NAME_LENGTH = 214;
+
+/**
+ * Names npm reserves and never publishes
+ */
+const RESERVED_PACKAGE_NAMES = ['node_modules', 'favicon.ico'];
+
+/**
+ * Check one part of a package name (the whole name, or the scope or name of a scoped one)
+ * @param {string} part - Name part
+ * @returns {boolean} true if it is non-empty and URL-safe, and doesn't start with ".", "_" or "-"
+ */
+function isValidNamePart(part) {
+  return part.length > 0 && !/^[._-]/.test(part) && encodeURIComponent(part) === part;
+}
+
+/**
+ * Check a package name against npm's naming rules
+ *
+ * Uppercase letters and the characters `~'!()*` are allowed, as older packages
+ * such as JSONStream still use them. A leading "-" is not, so a name can never
+ * be taken for an option by git or npm.
+ * @param {string} name - Package name, e.g. "react" or "@babel/core"
+ * @returns {string|null} Why the name is invalid, or null if it is valid
+ */
+function validatePackageName(name) {
+  if (typeof name !== 'string' || !name) {
+    return 'Package names must be non-empty strings.';
+  }
+
+  if (name.length > MAX_PACKAGE_NAME_LENGTH) {
+    return `Package name ${name.slice(0, 40)}... is longer than ${MAX_PACKAGE_NAME_LENGTH} characters.`;
+  }
+
+  if (RESERVED_PACKAGE_NAMES.includes(name.toLowerCase())) {
+    return `${name} is a reserved name, not a package.`;
+  }
+
+  const scoped = name.match(/^@([^/]+)\/([^/]+)$/);
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+  if (!parts.every(isValidNamePart)) {
+    return `${JSON.stringify(name)} is not a valid npm package name.`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a target version: an exact version, a semver range or a dist-tag
+ * @param {string} version - Target version, e.g. "18.3.1", "^18.3.0" or "latest"
+ * @returns {string|null} Why the version is invalid, or null if it is valid
+ */
+function validateVersion(version) {
+  if (typeof version !== 'string' || !version.trim()) {
+    return 'Versions must be non-empty strings.';
+  }
+
+  if (semver.validRange(version)) {
+    return null;
+  }
+
+  // npm's own rule for dist-tags: anything URL-safe that isn't a range
+  if (isValidNamePart(version)) {
+    return null;
+  }
+
+  return `${JSON.stringify(version)} is neither a semver range nor a dist-tag.`;
+}
+
+/**
+ * Check a branch name against git's rules for branch names (see `git check-ref-format`)
+ *
+ * Revision shorthands such as "@{-1}" are not branch names, and are rejected.
+ * @param {string} branchName - Branch name
+ * @returns {Promise<string|null>} Why the branch name is invalid, or null if it is valid
+ */
+async function validateBranchName(branchName) {
+  if (typeof branchName !== 'string' || !branchName) {
+    return 'Branch names must be non-empty strings.';
+  }
+
+  // `check-ref-format --branch` would expand "@{-1}" to the previous branch, so the full ref is checked
+  // instead, and the two things git only refuses as branch names are checked here
+  if (branchName.startsWith('-') || branchName === 'HEAD' ||
+    (await readCommand('git', ['check-ref-format', `refs/heads/${branchName}`])) === null) {
+    return `${JSON.stringify(branchName)} is not a valid branch name.`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validatePackageName,
+  validateVersion,
+  validateBranchName
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+const yaml = require('js-yaml');
+
+/**
+ * Read the workspace globs declared by a repository
+ *
+ * Looks at the "workspaces" field of the root package.json (npm and Yarn, either
+ * an array or `{ packages: [...] }`), then at pnpm-workspace.yaml.
+ * @param {string} repoDir - Repository directory
+ * @returns {string[]} Workspace globs, empty if the repository is not a monorepo
+ */
+function getWorkspaceGlobs(repoDir = '.') {
+  const packageJsonPath = path.join(repoDir, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    const { workspaces } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+
+    if (Array.isArray(workspaces)) {
+      return workspaces;
+    }
+    if (workspaces && Array.isArray(workspaces.packages)) {
+      return workspaces.packages;
+    }
+  }
+
+  const pnpmWorkspacePath = path.join(repoDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    const pnpmWorkspace = yaml.load(fs.readFileSync(pnpmWorkspacePath, 'utf8'));
+    if (pnpmWorkspace && Array.isArray(pnpmWorkspace.packages)) {
+      return pnpmWorkspace.packages;
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Find every package.json in a repository that dependencies could live in
+ * @param {string} repoDir - Repository directory
+ * @returns {string[]} Manifest paths relative to repoDir, root package.json first
+ */
+function findWorkspaceManifests(repoDir = '.') {
+  const globs = getWorkspaceGlobs(repoDir);
+  if (!globs.length) {
+    return ['package.json'];
+  }
+
+  // "packages/*" -> "packages/*/package.json", keeping "!" exclusions intact
+  const patterns = globs.map((glob) => {
+    const negated = glob.startsWith('!');
+    const manifestGlob = path.posix.join(negated ? glob.slice(1) : glob, 'package.json');
+    return negated ? `!${manifestGlob}` : manifestGlob;
+  });
+
+  const manifests = fg.sync(patterns, {
+    cwd: repoDir,
+    ignore: ['**/node_modules/**'],
+    onlyFiles: true
+  }).sort();
+
+  return ['package.json', ...manifests.filter((manifest) => manifest !== 'package.json')];
+}
+
+module.exports = {
+  getWorkspaceGlobs,
+  findWorkspaceManifests
+};
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { campaignBranchName } = require('../lib/index');
+
+const branch = (packages, versions) => campaignBranchName(packages, versions, 'update-packages');
+
+test('campaignBranchName keeps plain campaigns readable', () => {
+  assert.equal(branch(['react', 'react-dom'], ['18.3.0', '18.3.0']), 'update-packages-react-18.3.0-react-dom-18.3.0');
+  assert.equal(branch(['react'], ['latest']), 'update-packages-react-latest');
+});
+
+test('campaignBranchName gives campaigns that only differ in operators or scopes their own branch', () => {
+  const pairs = [
+    [[['react'], ['^18.3.0']], [['react'], ['~18.3.0']]],
+    [[['react'], ['^18.3.0']], [['react'], ['18.3.0']]],
+    [[['semver'], ['>=5 <6']], [['semver'], ['5 - 6']]],
+    [[['@babel/core'], ['7.0.0']], [['babel-core'], ['7.0.0']]],
+    [[['JSONStream'], ['1.0.0']], [['jsonstream'], ['1.0.0']]]
+  ];
+  for (const [a, b] of pairs) {
+    assert.notEqual(branch(...a), branch(...b), `${a} vs ${b}`);
+  }
+});
+
+test('campaignBranchName is stable across runs', () => {
+  assert.equal(branch(['react'], ['^18.3.0']), branch(['react'], ['^18.3.0']));
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { executeCommand } = require('../lib/index');
+
+// Swallows a command's output, so it doesn't clutter the test report
+const QUIET_LOGGER = { log: () => {}, error: () => {}, stdout: () => {}, stderr: () => {} };
+
+/**
+ * Create a scratch git repository with one staged file
+ * @returns {string} Repository directory
+ */
+function createScratchRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upgrade-test-'));
+  const git = (...args) => execFileSync('git', args, { cwd: dir });
+  git('init', '--quiet');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  fs.writeFileSync(path.join(dir, 'package.json'), '{}\n');
+  git('add', 'package.json');
+  return dir;
+}
+
+test('executeCommand passes hostile text to git word for word', async (t) => {
+  const dir = createScratchRepo();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const marker = path.join(dir, 'pwned');
+  const title = `Update react $(touch ${marker}) \`touch ${marker}\` "quoted"; touch ${marker}`;
+  const messageFile = path.join(dir, '..', `${path.basename(dir)}-message`);
+  fs.writeFileSync(messageFile, title);
+  t.after(() => fs.rmSync(messageFile, { force: true }));
+
+  const result = await executeCommand(['git', 'commit', '--quiet', '-F', messageFile], dir, QUIET_LOGGER);
+
+  assert.equal(result.success, true, result.output);
+  assert.equal(execFileSync('git', ['log', '-1', '--format=%B'], { cwd: dir, encoding: 'utf8' }).trim(), title);
+  assert.equal(fs.existsSync(marker), false);
+});
+
+test('executeCommand passes a hostile argument as a single argument', async (t) => {
+  const dir = createScratchRepo();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const marker = path.join(dir, 'pwned');
+  const branch = `up;touch$IFS${marker}`;
+  const result = await executeCommand(['git', 'checkout', '--quiet', '-b', branch], dir, QUIET_LOGGER);
+
+  assert.equal(result.success, true, result.output);
+  assert.equal(execFileSync('git', ['symbolic-ref', '--short', 'HEAD'], { cwd: dir, encoding: 'utf8' }).trim(), branch);
+  assert.equal(fs.existsSync(marker), false);
+});
+
+test('executeCommand fails without throwing when the executable is missing', async () => {
+  const result = await executeCommand(['batch-upgrade-no-such-command'], os.tmpdir(), QUIET_LOGGER);
+
+  assert.equal(result.success, false);
+  assert.match(result.output, /ENOENT/);
+});
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * Run git and return its trimmed output
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} stdout
+ */
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+/**
+ * Create a scratch directory with a bare `app.git` remote and an `app` checkout of it on main,
+ * whose package.json depends on semver ^6.0.0
+ * @returns {{root: string, remote: string, checkout: string, remove: Function}} Paths, and a function that deletes them
+ */
+function createRepoWithRemote() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upgrade-test-'));
+  const remote = path.join(root, 'app.git');
+  const checkout = path.join(root, 'app');
+
+  git(['init', '--quiet', '--bare', '--initial-branch=main', remote], root);
+  git(['init', '--quiet', '--initial-branch=main', checkout], root);
+  git(['config', 'user.name', 'Test'], checkout);
+  git(['config', 'user.email', 'test@example.com'], checkout);
+  git(['remote', 'add', 'origin', remote], checkout);
+  fs.writeFileSync(path.join(checkout, 'package.json'), '{\n  "name": "app",\n  "version": "1.0.0",\n  "dependencies": {\n    "semver": "^6.0.0"\n  }\n}\n');
+  git(['add', 'package.json'], checkout);
+  git(['commit', '--quiet', '-m', 'Initial commit'], checkout);
+  git(['push', '--quiet', '--set-upstream', 'origin', 'main'], checkout);
+  git(['remote', 'set-head', 'origin', 'main'], checkout);
+
+  return {
+    root,
+    remote,
+    checkout,
+    remove: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Read the pull requests the "file" provider recorded
+ * @param {string} file - Provider file
+ * @returns {Object[]} Pull requests, empty if none were opened
+ */
+function readPullRequests(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).pullRequests : [];
+}
+
+module.exports = {
+  git,
+  createRepoWithRemote,
+  readPullRequests
+};
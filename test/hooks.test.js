@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createUpgrader } = require('../lib/index');
+const { git, createRepoWithRemote, readPullRequests } = require('./helpers/repos');
+
+/**
+ * Create an upgrader for the scratch repository, with a beforeCommit hook that adds CODEMOD.md
+ * @param {Object} repo - Scratch repository from createRepoWithRemote
+ * @param {Function} review - The review hook
+ * @returns {Object} Upgrader
+ */
+function createCodemodUpgrader(repo, review) {
+  return createUpgrader({
+    packages: ['semver'],
+    versions: ['7.6.0'],
+    repos: ['app'],
+    cwd: repo.root,
+    baseBranch: 'main',
+    provider: 'file',
+    providerFile: 'prs.json',
+    installStrategy: 'lockfile-only',
+    retries: 0,
+    hooks: {
+      beforeCommit: ({ dir, updates }) => {
+        fs.writeFileSync(path.join(dir, 'CODEMOD.md'), `Migrated to ${updates.map(({ to }) => to).join(', ')}\n`);
+      },
+      review
+    }
+  });
+}
+
+test('files the beforeCommit hook created are deleted when the review skips the repository', async (t) => {
+  const repo = createRepoWithRemote();
+  t.after(repo.remove);
+  fs.writeFileSync(path.join(repo.checkout, 'NOTES.md'), 'my own untracked notes\n');
+
+  const run = await createCodemodUpgrader(repo, () => ({ action: 'skip' })).run();
+
+  assert.equal(run.results[0].status, 'skipped', run.results[0].error);
+  assert.equal(fs.existsSync(path.join(repo.checkout, 'CODEMOD.md')), false);
+  assert.equal(git(['status', '--porcelain'], repo.checkout), '?? NOTES.md');
+  assert.equal(git(['branch', '--list', 'update-packages-*'], repo.checkout), '');
+  assert.deepEqual(readPullRequests(path.join(repo.root, 'prs.json')), []);
+});
+
+test('files the beforeCommit hook created are committed when the review edits the versions', async (t) => {
+  const repo = createRepoWithRemote();
+  t.after(repo.remove);
+
+  const decisions = [{ action: 'edit', versions: { semver: '7.5.0' } }, { action: 'accept' }];
+  const run = await createCodemodUpgrader(repo, () => decisions.shift()).run();
+
+  const result = run.results[0];
+  assert.equal(result.status, 'updated', result.error);
+  assert.equal(decisions.length, 0);
+  assert.deepEqual(git(['show', '--name-only', '--format=', result.branch], repo.checkout).split('\n').sort(),
+    ['CODEMOD.md', 'package-lock.json', 'package.json']);
+  assert.equal(git(['show', `${result.branch}:CODEMOD.md`], repo.checkout), 'Migrated to 7.5.0');
+  assert.equal(git(['status', '--porcelain'], repo.checkout), '');
+  assert.equal(readPullRequests(path.join(repo.root, 'prs.json')).length, 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { updatePackages } = require('../lib/index');
+const { git, createRepoWithRemote, readPullRequests } = require('./helpers/repos');
+
+// Swallows the run's output, so it doesn't clutter the test report
+const QUIET_OUTPUT = { stdout: () => {}, stderr: () => {} };
+
+/**
+ * Run a campaign against the scratch repository with the "file" provider
+ * @param {Object} repo - Scratch repository from createRepoWithRemote
+ * @param {Object} options - Options for updatePackages, on top of the defaults here
+ * @returns {Promise<Object>} Run result
+ */
+function runCampaign(repo, options) {
+  return updatePackages({
+    packages: ['semver'],
+    versions: ['7.6.0'],
+    repos: ['app'],
+    cwd: repo.root,
+    baseBranch: 'main',
+    provider: 'file',
+    installStrategy: 'lockfile-only',
+    retries: 0,
+    output: QUIET_OUTPUT,
+    ...options
+  });
+}
+
+/**
+ * Check that a run was refused before it touched the repository, its remote or the PR file
+ * @param {Object} repo - Scratch repository from createRepoWithRemote
+ * @param {Object} run - Run result
+ * @param {RegExp} error - What the run's error should say
+ */
+function assertRefused(repo, run, error) {
+  assert.equal(run.success, false);
+  assert.match(run.error, error);
+  assert.deepEqual(run.results, []);
+  assert.equal(git(['branch', '--list'], repo.checkout), '* main');
+  assert.equal(git(['ls-remote', '--heads', repo.remote], repo.root).split('\n').length, 1);
+  assert.equal(fs.existsSync(path.join(repo.root, '.batch-upgrade-prs.json')), false);
+}
+
+test('updatePackages refuses hostile package names before touching any repository', async (t) => {
+  const repo = createRepoWithRemote();
+  t.after(repo.remove);
+  const marker = path.join(repo.root, 'pwned');
+
+  for (const pkg of [`semver"; touch ${marker}; echo "`, 'a;b', '--registry=http://127.0.0.1:1']) {
+    const run = await runCampaign(repo, { packages: [pkg] });
+    assertRefused(repo, run, /is not a valid npm package name/);
+  }
+  assert.equal(fs.existsSync(marker), false);
+});
+
+test('updatePackages refuses hostile versions before touching any repository', async (t) => {
+  const repo = createRepoWithRemote();
+  t.after(repo.remove);
+  const marker = path.join(repo.root, 'pwned');
+
+  for (const version of [`^1.0.0"; touch ${marker}; echo "`, `$(touch ${marker})`, '-1']) {
+    const run = await runCampaign(repo, { versions: [version] });
+    assertRefused(repo, run, /is neither a semver range nor a dist-tag/);
+  }
+  assert.equal(fs.existsSync(marker), false);
+});
+
+test('updatePackages refuses branch names git could take for options or revisions', async (t) => {
+  const repo = createRepoWithRemote();
+  t.after(repo.remove);
+
+  for (const branchName of ['--upload-pack=touch pwned', '-x', '@{-1}', 'a b']) {
+    const run = await runCampaign(repo, { branchName });
+    assertRefused(repo, run, /is not a valid branch name/);
+  }
+  assert.equal(fs.existsSync(path.join(repo.checkout, 'pwned')), false);
+});
+
+test('hostile branch names, PR titles and bodies end up in git and the PR word for word', async (t) => {
+  const repo = createRepoWithRemote();
+  t.after(repo.remove);
+  const marker = path.join(repo.root, 'pwned');
+  const branchName = `up;touch$IFS${marker}`;
+
+  const run = await runCampaign(repo, {
+    branchName,
+    prTitleTemplate: `Bump {packages} $(touch ${marker}) \`touch ${marker}\` "quoted"; touch ${marker}`,
+    prBodyTemplate: `Line one\nLine two $(touch ${marker}) \`touch ${marker}\`\n{changes}`
+  });
+
+  const title = `Bump semver@7.6.0 $(touch ${marker}) \`touch ${marker}\` "quoted"; touch ${marker}`;
+  assert.equal(run.success, true, run.error || (run.results[0] && run.results[0].error));
+  assert.equal(git(['log', '-1', '--format=%B', `refs/heads/${branchName}`], repo.remote), title);
+
+  const [pr] = readPullRequests(path.join(repo.root, '.batch-upgrade-prs.json'));
+  assert.equal(pr.head, branchName);
+  assert.equal(pr.title, title);
+  assert.match(pr.body, new RegExp(`^Line one\\nLine two \\$\\(touch ${marker}\\) \`touch ${marker}\`\\n- semver to 7\\.6\\.0`));
+  assert.equal(fs.existsSync(marker), false);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setJsonValue, checkManifestEdits } = require('../lib/manifest');
+
+/**
+ * Apply edits with setJsonValue
+ * @param {string} text - Manifest text
+ * @param {Array<{keyPath: string[], value: *}>} edits - Edits to apply
+ * @returns {string} Edited text
+ */
+function applyEdits(text, edits) {
+  return edits.reduce((edited, { keyPath, value }) => setJsonValue(edited, keyPath, value), text);
+}
+
+const ONE_LINE = '{"name":"app","dependencies":{"react":"^17.0.0"}}\n';
+const INDENTED = '{\n  "name": "app",\n  "dependencies": {\n    "react": "^17.0.0"\n  }\n}\n';
+
+test('a one-line manifest keeps its format and passes the check when a value changes or a key is added', () => {
+  const cases = [
+    [{ keyPath: ['dependencies', 'react'], value: '^18.3.0' }],
+    [{ keyPath: ['dependencies', 'react-dom'], value: '^18.3.0' }],
+    [{ keyPath: ['overrides', 'semver'], value: '^7.6.0' }],
+    [{ keyPath: ['dependencies', 'react'], value: '^18.3.0' }, { keyPath: ['pnpm', 'overrides', 'react'], value: '^18.3.0' }]
+  ];
+  for (const edits of cases) {
+    const after = applyEdits(ONE_LINE, edits);
+    assert.equal(after.split('\n').length, 2, after);
+    assert.deepEqual(checkManifestEdits(ONE_LINE, after, edits), [], after);
+  }
+});
+
+test('an indented manifest passes the check when a value changes or a key is added', () => {
+  const cases = [
+    [{ keyPath: ['dependencies', 'react'], value: '^18.3.0' }],
+    [{ keyPath: ['dependencies', 'react-dom'], value: '^18.3.0' }],
+    [{ keyPath: ['overrides', 'semver'], value: '^7.6.0' }]
+  ];
+  for (const edits of cases) {
+    assert.deepEqual(checkManifestEdits(INDENTED, applyEdits(INDENTED, edits), edits), []);
+  }
+});
+
+test('checkManifestEdits catches changes next to an edit on the same line', () => {
+  const edits = [{ keyPath: ['dependencies', 'react'], value: '^18.3.0' }];
+  const after = applyEdits(ONE_LINE, edits);
+
+  assert.deepEqual(checkManifestEdits(ONE_LINE, after.replace('"name":"app"', '"name": "app"'), edits), ['indentation or spacing changed']);
+  assert.ok(checkManifestEdits(ONE_LINE, after.replace('"app"', '"web"'), edits).includes('unexpected "web" added'));
+});
+
+test('checkManifestEdits catches a reindented manifest', () => {
+  const edits = [{ keyPath: ['dependencies', 'react'], value: '^18.3.0' }];
+  const reindented = applyEdits(INDENTED, edits).replace(/^ {2}/gm, '    ');
+  assert.deepEqual(checkManifestEdits(INDENTED, reindented, edits), ['indentation or spacing changed']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PACKAGE_MANAGERS, isTransientInstallFailure } = require('../lib/package-manager');
+
+test('isTransientInstallFailure retries network and registry errors', () => {
+  const outputs = [
+    'npm ERR! code ETIMEDOUT\nnpm ERR! network request to https://registry.npmjs.org/react failed',
+    'npm error code ECONNRESET',
+    'npm ERR! code E503\nnpm ERR! 503 Service Unavailable - GET https://registry.npmjs.org/react',
+    'npm ERR! code E429\nnpm ERR! 429 Too Many Requests'
+  ];
+  for (const output of outputs) {
+    assert.equal(isTransientInstallFailure(PACKAGE_MANAGERS.npm, output), true, output);
+  }
+  assert.equal(isTransientInstallFailure(PACKAGE_MANAGERS.pnpm, 'ERR_PNPM_FETCH_503 GET https://registry.npmjs.org/react'), true);
+});
+
+test('isTransientInstallFailure does not retry failures that would happen again', () => {
+  const outputs = [
+    'npm ERR! code ERESOLVE\nnpm ERR! ERESOLVE unable to resolve dependency tree\nnpm ERR! Could not resolve dependency:',
+    'npm ERR! code ETARGET\nnpm ERR! notarget No matching version found for react@99.0.0.',
+    'npm ERR! code EJSONPARSE',
+    'spawn npm ENOENT'
+  ];
+  for (const output of outputs) {
+    assert.equal(isTransientInstallFailure(PACKAGE_MANAGERS.npm, output), false, output);
+  }
+});
+
+test('isTransientInstallFailure does not retry a peer conflict reported alongside a network error', () => {
+  const output = 'npm WARN ETIMEDOUT fetching metadata\nnpm ERR! ERESOLVE unable to resolve dependency tree';
+  assert.equal(isTransientInstallFailure(PACKAGE_MANAGERS.npm, output), false);
+});
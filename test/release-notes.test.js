@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatReleaseNotes } = require('../lib/release-notes');
+
+/**
+ * Create a directory with a package installed in node_modules
+ * @param {string} pkg - Package name
+ * @param {string} version - Installed version
+ * @returns {string} Directory
+ */
+function installPackage(pkg, version) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-notes-'));
+  const packageDir = path.join(dir, 'node_modules', pkg);
+  fs.mkdirSync(packageDir, { recursive: true });
+  fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: pkg, version, repository: 'acme/lib' }));
+  fs.writeFileSync(path.join(packageDir, 'CHANGELOG.md'), `## ${version}\n\n- Changes\n`);
+  return dir;
+}
+
+test('formatReleaseNotes leaves out packages whose locked version did not change', (t) => {
+  const dir = installPackage('lib', '2.1.3');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const notes = formatReleaseNotes([{ pkg: 'lib', before: ['2.1.3'], after: ['2.1.3'], range: '^2.1.0' }], [dir]);
+  assert.equal(notes, '');
+});
+
+test('formatReleaseNotes quotes the changelog of the installed new version', (t) => {
+  const dir = installPackage('lib', '2.2.0');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const notes = formatReleaseNotes([{ pkg: 'lib', before: ['2.1.3'], after: ['2.2.0'], range: '^2.1.0' }], [dir]);
+  assert.match(notes, /`2\.1\.3` → `2\.2\.0`/);
+  assert.match(notes, /compare\/v2\.1\.3\.\.\.v2\.2\.0/);
+  assert.match(notes, /Changelog 2\.1\.3 → 2\.2\.0/);
+});
+
+test('formatReleaseNotes with lockfileOnly takes versions from the lockfile, not the stale node_modules', (t) => {
+  const dir = installPackage('lib', '2.1.3');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const notes = formatReleaseNotes([{ pkg: 'lib', before: ['2.1.3'], after: ['2.2.0'], range: '^2.1.0' }], [dir], { lockfileOnly: true });
+  assert.match(notes, /`2\.1\.3` → `2\.2\.0`/);
+  assert.match(notes, /Changelog unavailable: only the lockfile was updated/);
+  assert.doesNotMatch(notes, /<details>/);
+
+  // Without a lockfile entry, the stale installed version isn't mistaken for the new one
+  assert.equal(formatReleaseNotes([{ pkg: 'lib', before: [], after: [], range: '^1.0.0' }], [dir], { lockfileOnly: true }), '');
+});
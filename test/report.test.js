@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDuration, formatMarkdownReport } = require('../lib/report');
+
+test('formatDuration rounds before splitting into minutes and seconds', () => {
+  assert.equal(formatDuration(12345), '12.3s');
+  assert.equal(formatDuration(59960), '1m 00s');
+  assert.equal(formatDuration(65000), '1m 05s');
+  assert.equal(formatDuration(119600), '2m 00s');
+});
+
+test('formatMarkdownReport shows added overrides as added, not as updated from null', () => {
+  const report = formatMarkdownReport({
+    dryRun: false,
+    packages: [{ name: 'semver', version: '^7.6.0' }],
+    startedAt: '2026-10-19T09:00:00.000Z',
+    durationMs: 1000,
+    results: [{
+      repo: 'web-app',
+      success: true,
+      status: 'updated',
+      updated: [
+        { pkg: 'semver', from: '^6.0.0', to: '^7.6.0', section: 'dependencies', manifest: 'package.json' },
+        { pkg: 'semver', from: null, to: '^7.6.0', section: 'overrides', manifest: 'package.json' }
+      ],
+      skipped: [],
+      durationMs: 1000
+    }]
+  });
+
+  assert.match(report, /- Updated `semver` from `\^6\.0\.0` to `\^7\.6\.0` \(dependencies\)/);
+  assert.match(report, /- Added `semver` at `\^7\.6\.0` \(overrides\)/);
+  assert.doesNotMatch(report, /null/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePackageName, validateVersion, validateBranchName } = require('../lib/validate');
+
+test('validatePackageName accepts npm package names', () => {
+  for (const name of ['react', '@babel/core', 'lodash.merge', 'JSONStream']) {
+    assert.equal(validatePackageName(name), null, name);
+  }
+});
+
+test('validatePackageName rejects shell syntax and option-like names', () => {
+  for (const name of ['^1.0.0"; rm -rf ~', 'a;b', '-a', '--registry=https://example.com', '$(id)', '`id`', 'a b', '@scope/a;b', '']) {
+    assert.notEqual(validatePackageName(name), null, name);
+  }
+});
+
+test('validateVersion accepts versions, ranges and dist-tags', () => {
+  for (const version of ['18.3.1', '^18.0.0', '>=5 <6', '18.x', '*', 'latest', 'next']) {
+    assert.equal(validateVersion(version), null, version);
+  }
+});
+
+test('validateVersion rejects shell syntax and option-like versions', () => {
+  for (const version of ['^1.0.0"; rm -rf ~', 'a;b', '-a', '--force', '$(id)', '`id`', '']) {
+    assert.notEqual(validateVersion(version), null, version);
+  }
+});
+
+test('validateBranchName accepts branch names', async () => {
+  for (const branch of ['main', 'update-packages-react-18.3.0', 'deps/react']) {
+    assert.equal(await validateBranchName(branch), null, branch);
+  }
+});
+
+test('validateBranchName rejects option-like names and revision shorthands', async () => {
+  for (const branch of ['-x', '@{-1}', 'HEAD', 'a..b', 'a b', '']) {
+    assert.notEqual(await validateBranchName(branch), null, branch);
+  }
+});